@@ -2,13 +2,29 @@
 ./node_modules/google-closure-compiler-linux/compiler \
 ./source/index.js \
 ./source/Game.js \
+./source/Simulation.js \
+./source/Input.js \
+./source/Gamepad.js \
+./source/Bindings.js \
+./source/Settings.js \
+./source/Editor.js \
+./source/StateMachine.js \
+./source/Events.js \
 ./source/Arrows.js \
 ./source/Bug.js \
 ./source/Collision.js \
+./source/PowerUps.js \
+./source/Difficulty.js \
+./source/Patterns.js \
+./source/Choreography.js \
+./source/Particles.js \
 ./source/ScoreBar.js \
 ./source/Util.js \
+./source/Angles.js \
 ./source/Clock.js \
 ./source/ColorSchemes.js  \
+./source/Random.js \
+./source/Replay.js \
 ./source/Sound.js \
 ./source/kontra.js \
 ./source/jsfxr.js \
@@ -0,0 +1,32 @@
+
+//angle arithmetic on the clock face, in degrees unless the name says otherwise;
+//every result is wrapped, so nothing cares where 0/360 falls
+
+//into [0,360)
+export function wrap (deg){
+     return (deg % 360 + 360) % 360;
+}
+
+//the short way round from one angle to the other, in (-180,180]
+export function delta (from, to){
+     const d = wrap(to - from);
+     return d > 180? d - 360: d;
+}
+
+export function deltaRadians (from, to){
+     return delta(toDegrees(from), toDegrees(to))*Math.PI/180;
+}
+
+export function toDegrees (rad){
+     return rad*180/Math.PI;
+}
+
+//which way something crossed a reference angle between two of its offsets from it (as given
+//by delta): 1 going clockwise, -1 counterclockwise, 0 if it did not. Passing the far side,
+//180 degrees off, is not a crossing
+export function crossing (before, after){
+     const sideBefore = before >= 0? 1: -1,
+           sideAfter = after >= 0? 1: -1;
+     if(sideBefore === sideAfter || Math.abs(after - before) >= 180) return 0;
+     return sideAfter;
+}
@@ -1,74 +1,143 @@
-import { Sprite, on } from "./kontra.js"
-import { rotatePoint } from "./Util.js"
-
-export function Arrows (game){
+import { Sprite } from "./kontra.js"
+import { rotatePoint, timestep } from "./Util.js"
+import { moves, moveOf } from "./Patterns.js"
+import { angleAt } from "./Choreography.js"
+import { wrap, delta } from "./Angles.js"
+
+//where each hand rests while no run is in progress, read from the wall clock
+const idleAngles = {
+      seconds: (date)=> 360/60 * date.getSeconds(),
+      minutes: (date)=> 360/60 * date.getMinutes(),
+      hours:   (date)=> 360/12 * (date.getHours()%12) + 360/60/12 * date.getMinutes()
+};
+
+//length and width are in clock radii; how fast they go and how many are in play
+//is up to the difficulty profile
+export const defaultHands = [
+      { name: "minutes", idle: "minutes", length: 1.4, width: 1/4, direction: 1 },
+      { name: "hours",   idle: "hours",   length: 1.3, width: 1/4, direction: -1 },
+      { name: "seconds", idle: "seconds", length: 1.5, width: 1/6, direction: 1 }
+];
+
+export function Hand (game, spec){
       if(!game) throw new Error("game is not defined");
-      let arrow1,arrow2, defSize, defPosition;
-      on("clock_reposition", defPosition = (x,y)=>{
-          arrow1.x = arrow2.x = x;
-          arrow1.y = arrow2.y = y;
+      if(!idleAngles[spec.idle]) throw new Error("unknown idle time source: "+spec.idle);
+      let hand, defSize, defPosition;
+      game.on("clock_reposition", defPosition = (x,y)=>{
+          hand.x = x;
+          hand.y = y;
       })
-      on("clock_resize", defSize = (radius)=>{
-          arrow1.width = arrow2.width = radius/4
-          arrow1.height = radius*1.4;
-          arrow2.height = radius*1.3;
+      game.on("clock_resize", defSize = (radius)=>{
+          hand.width = radius*spec.width;
+          hand.height = radius*spec.length;
       })
-      
-      arrow1 = Sprite({
+
+      hand = Sprite({
 
            x: null,
            y: null,
            width: null,
            height: null,
-          
+
+           name: spec.name,
+           active: true,
+
            anchor: {x:0.5,y:1},
            rotationDeg: null,
-           rotationSpeed: 1,
+           rotationSpeed: 60,
+           speedFactor: 1,
+           idleSpeed: 120,
            idleDeg:null,
-           idleDirection:1,
-           direction: 1,
-          
-           randomDirectionChange:function (){
-                let a = Math.random() > .5? this.direction: -1*this.direction;
-                this.direction = a;                 
+           idleDirection: spec.direction,
+           direction: spec.direction,
+
+           easeTime: 0.2,       //seconds a telegraphed reversal takes to slow down and pick up again
+           reversal: null,      //{lead, ease} while a telegraphed reversal is under way
+           pattern: null,       //{steps, index, elapsed, moved} while playing a pattern
+           track: null,         //a level's keys, which then decide the angle outright
 
+           //with a lead time the hand first wobbles for that long, then eases through a standstill
+           randomDirectionChange:function (probability = .5, lead = 0){
+                let a = game.random.chance(1-probability)? this.direction: -1*this.direction;
+                if(a === this.direction || this.reversal) return;
+                if(lead > 0) this.reversal = {lead: lead, ease: 0};
+                else this.direction = a;
+
+           },
+           //1 at full speed, down to -1 once a reversal has eased through
+           turn: function (){
+                if(!this.reversal || this.reversal.lead > 0) return 1;
+                return Math.cos(Math.PI*Math.min(1,this.reversal.ease/this.easeTime));
+           },
+           pose: function (deg){
+                this.rotationDeg = wrap(deg);
+                this.rotation = 2*Math.PI*this.rotationDeg/360;
+           },
+           play: function (steps){
+                this.reversal = null;
+                this.pattern = {steps: steps, index: 0, elapsed: 0, moved: 0};
+           },
+           followPattern: function (dt){
+                const pattern = this.pattern,
+                      step = pattern.steps[pattern.index];
+                pattern.elapsed += dt;
+                if(!moves[moveOf(step)](this, step, pattern, dt, game)) return;
+                pattern.index++;
+                pattern.elapsed = pattern.moved = 0;
+                if(pattern.index >= pattern.steps.length) this.pattern = null;
+           },
+           updateReversal: function (dt){
+                const reversal = this.reversal;
+                if(reversal.lead > 0){
+                     reversal.lead -= dt;
+                     return;
+                }
+                reversal.ease += dt;
+                if(reversal.ease >= this.easeTime){
+                     this.direction *= -1;
+                     this.reversal = null;
+                }
            },
            updateIdleDeg(){
-                let date = new Date(),
-                    mins = date.getMinutes(),
-                    minsAngle = 360/(60) * mins;
-                this.idleDeg = minsAngle;
+                this.idleDeg = idleAngles[spec.idle](new Date());
            },
-           update: function (){
+           update: function (dt){
 
-              this.rotationDeg %= 360;
-              if(this.rotationDeg<0) this.rotationDeg+=360;
+              this.rotationDeg = wrap(this.rotationDeg);
               this.rotation = 2*Math.PI*(this.rotationDeg)/360;
 
               if(game.gameOver){
 
                   this.updateIdleDeg();
-                  this.rotationSpeed = 1;
+                  this.reversal = null;
+                  this.pattern = null;
+                  this.rotationSpeed = 60;
                   this.direction = this.idleDirection;
-  
-                  let shortest_dir = Math.sign(this.idleDeg - this.rotationDeg)  ;
-                  if(Math.abs(this.idleDeg - this.rotationDeg)>180) shortest_dir*=-1;          
-
-                  if(this.rotationDeg > this.idleDeg){ 
-                        this.rotationDeg += shortest_dir *  2;
-                        if(this.rotationDeg < this.idleDeg) this.rotationDeg = this.idleDeg;
-                  }
-
-                  if(this.rotationDeg < this.idleDeg){ 
-                        this.rotationDeg += shortest_dir *  2;
-                        if(this.rotationDeg > this.idleDeg) this.rotationDeg = this.idleDeg;
-                  }
-
-                 
-              }else 
-                  this.rotationDeg += this.rotationSpeed*this.direction;
-                                  
-              
+
+                  //the short way round, landing on the resting angle exactly
+                  const left = delta(this.rotationDeg, this.idleDeg);
+                  if(Math.abs(left) <= this.idleSpeed*dt) this.rotationDeg = this.idleDeg;
+                  else this.rotationDeg += Math.sign(left)*this.idleSpeed*dt;
+
+
+              }else if(this.track)
+                  this.rotationDeg = wrap(angleAt(this.track, game.ticks*timestep));
+              else if(this.pattern)
+                  this.followPattern(dt*this.speedFactor);
+              else{
+                  this.rotationDeg += this.rotationSpeed*this.speedFactor*this.direction*this.turn()*dt;
+                  if(this.reversal) this.updateReversal(dt);
+              }
+
+
+           },
+           //enters a run in progress, on the far side of the clock from the bug
+           join: function (speed){
+              this.active = true;
+              this.pose(game.bug.rotationDeg + 180);
+              this.rotationSpeed = speed;
+              this.direction = this.idleDirection;
+              game.emit("hand_join",this);
            },
            calculatePath: function (){
                return   [  {x:0,             y:this.width},
@@ -82,8 +151,8 @@ export function Arrows (game){
                          ];
 
 
-           }, 
-           calculateTransformedPath: function (){
+           },
+           calculateTransformedPath: function (rotation = this.rotation){
               let path = this.calculatePath(),
                   anchorWidth = this.width * this.anchor.x,
                   anchorHeight = this.height * this.anchor.y;
@@ -91,7 +160,7 @@ export function Arrows (game){
               path = path.map((point)=>{
                           point.x -= anchorWidth;
                           point.y -= anchorHeight;
-                          return rotatePoint(point,this.rotation);                  
+                          return rotatePoint(point,rotation);
                      });
               return path;
            },
@@ -102,9 +171,11 @@ export function Arrows (game){
               this.context.save();
               this.context.translate(this.x, this.y);
 
-              if (this.rotation) this.context.rotate(this.rotation);
-              
-              this.context.fillStyle = game.colorScheme.arrows;
+              //a telegraphed reversal shows as a wobble and a flash, the hand's real angle stays put
+              const warning = this.reversal && this.reversal.lead > 0;
+              if (this.rotation || warning) this.context.rotate(this.rotation + (warning? Math.sin(this.reversal.lead*60)*0.06: 0));
+
+              this.context.fillStyle = warning && Math.sin(this.reversal.lead*50) > 0? game.colorScheme.scorebar: game.colorScheme.arrows;
               const path = this.calculatePath();
               this.context.beginPath();
               this.context.moveTo(path[0].x,path[0].y);
@@ -114,49 +185,19 @@ export function Arrows (game){
               this.context.closePath();
               this.context.fill();
               this.context.restore();
-           }       
+           }
       })
-      arrow2 = Sprite({
-           
-           x: null,
-           y: null,
-           width: null,
-           height: null,
-
-           anchor: {x:0.5,y:1},
-           rotationDeg: null,
-           rotationSpeed: 1.8,
-           idleDeg:null,
-           idleDirection:-1,
-           direction: -1,
-
-
-           randomDirectionChange: arrow1.randomDirectionChange,
-           updateIdleDeg(){
-                 let date = new Date(),
-                     mins = date.getMinutes(),
-                     hours = date.getHours()%12,
-                     hoursAngle = 360/12 * hours + 360/60/12 * mins;
-                 this.idleDeg = hoursAngle;
-
-           },
-           update: arrow1.update,
-           calculatePath: arrow1.calculatePath,
-           calculateTransformedPath: arrow1.calculateTransformedPath,
-           draw: arrow1.draw,      
-      }) 
 
       defSize(game.clock.radius);
       defPosition(game.clock.x,game.clock.y);
 
-      arrow1.updateIdleDeg();
-      arrow2.updateIdleDeg();
-
-      arrow1.rotationDeg = arrow1.idleDeg;
-      arrow2.rotationDeg = arrow2.idleDeg;
-
-
-      return [ arrow1, arrow2 ];
+      hand.updateIdleDeg();
+      hand.rotationDeg = hand.idleDeg;
 
+      return hand;
+}
 
+export function Arrows (game, specs = defaultHands){
+      if(!game) throw new Error("game is not defined");
+      return specs.map((spec)=>Hand(game,spec));
 }
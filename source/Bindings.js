@@ -0,0 +1,76 @@
+import  { setStoreItem, getStoreItem }  from "./kontra.js"
+import  { localStoragePrefix as prefix }  from "./Util.js"
+
+//named actions and the KeyboardEvent.code values triggering them
+const defaults = {
+     jump: ["ArrowUp"],
+     switch: ["Space"],
+     pause: ["KeyP","Escape"],
+     restart: ["KeyR"]
+};
+
+const names = {
+     jump: "jump",
+     switch: "switch direction",
+     pause: "pause",
+     restart: "restart"
+};
+
+const storeKey = prefix+"bindings";
+
+export function Bindings (){
+
+     let keys = load();
+
+     return {
+          actions: Object.keys(defaults),
+
+          actionFor: function (code){
+               for(let action of this.actions)
+                    if(keys[action].indexOf(code) >= 0) return action;
+               return null;
+          },
+          keysFor: function (action){
+               return keys[action].slice();
+          },
+          //a key triggers a single action, so binding it takes it away from the others
+          set: function (action, code){
+               if(!defaults[action]) throw new Error("unknown action: "+action);
+               for(let a of this.actions)
+                    keys[a] = keys[a].filter(c=>c !== code);
+               keys[action] = [code];
+               setStoreItem(storeKey,keys);
+          },
+          reset: function (){
+               keys = copy(defaults);
+               setStoreItem(storeKey,undefined);
+          },
+          name: function (action){
+               return names[action];
+          },
+          describe: function (action){
+               return keys[action].map(keyLabel).join(" / ") || "unbound";
+          }
+     };
+}
+
+function copy(bindings){
+     let res = {};
+     for(let action of Object.keys(defaults)) res[action] = bindings[action].slice();
+     return res;
+}
+
+function load(){
+     const stored = getStoreItem(storeKey);
+     let res = copy(defaults);
+     if(stored && typeof stored === "object")
+          for(let action of Object.keys(defaults))
+               if(Array.isArray(stored[action]) && stored[action].every(c=>typeof c === "string"))
+                    res[action] = stored[action].slice();
+     return res;
+}
+
+export function keyLabel(code){
+     return code.replace(/^Key|^Digit/,"")
+                .replace(/^Arrow(.*)$/,"$1 arrow");
+}
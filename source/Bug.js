@@ -1,23 +1,26 @@
-import { Sprite, on, emit }  from "./kontra.js"
+import { Sprite }  from "./kontra.js"
 import { rotatePoint } from "./Util.js"
-import { Sound } from "./Sound.js"
+import { wrap, delta, crossing } from "./Angles.js"
 
 export function  Bug (game, animations){
      if(!game) throw new Error("game is not defined");
     
      let bug,defSize,defPosition;
-     on("clock_reposition",defPosition = (x,y)=>{
+     game.on("clock_reposition",defPosition = (x,y)=>{
+           if(bug.flung) return;
            bug.x = x;
            bug.y = y;
      });
-     on("clock_resize",defSize = (radius)=>{
-           let size = 1.4*radius/4,
-               groundedAnchorY = (size+radius)/size;
+     game.on("clock_resize",defSize = (radius)=>{
+           //kept independent of the radius, so the jump plays the same at any screen size
+           const sizeRatio = 1.4/4;
+           let size = sizeRatio*radius,
+               groundedAnchorY = 1+1/sizeRatio;
 
            bug.width = size;
            bug.height = size;
            bug.groundedAnchorY = groundedAnchorY;
-           if(!bug.isFlying) bug.anchor.y = groundedAnchorY;
+           if(!bug.isFlying && !bug.flung) bug.anchor.y = groundedAnchorY;
      });
             
      bug = Sprite({
@@ -27,72 +30,87 @@ export function  Bug (game, animations){
            height:null,
            groundedAnchorY: null,
            anchor: {x:0.5,y: null},
-           animations: animations,
            currentState: "idle",
            color: "gray",
            rotationDeg:0,
            idleDeg:null,
            direction: 1,
-           rotationSpeed: 1,
+           rotationSpeed: 60,
+           idleSpeed: 120,
            isFlying:0,
-           gravity:-0.0045,
            jumpSpeed:0,
+           jumpHeld: false,
 
-           wereOverArrow: false,
-           isOverArrow: function (){
-              const speed = Math.max(game.arrow1.rotationSpeed, game.arrow2.rotationSpeed)+this.rotationSpeed;
-              let res = [];
-              if(this.isFlying){
-                for(let arrow of [game.arrow1,game.arrow2])
-                  if(arrow.rotationDeg>this.rotationDeg-speed && arrow.rotationDeg<this.rotationDeg+speed)
+           //jump curve, in bug heights and seconds
+           gravity:-16.2,
+           launchSpeed: 5.52,
+           jumpCut: 0.5,      //share of the upward speed kept when the button is let go early
+           maxJumps: 2,
 
-                   res.push(arrow);
-                   
-              }
+           jumpBuffer: 0.1,   //seconds a jump pressed with no jumps left waits for touchdown
+           coyoteTime: 0,     //seconds after take-off the bug still counts as grounded, 0 turns it off
+           bufferedJump: 0,
+           airTime: 0,
+
+           shielded: false,
+           invulnerable: 0,        //seconds left during which hands pass through
+           invulnerableTime: 1,
+
+           flung: null,
+           flingSpeed: 2.5,        //clock radii per second
+           flingGravity: 9,        //clock radii per second squared
+           flingSpin: 720,         //degrees per second
+
+           handOffsets: new Map(),   //each hand's signed angle from the bug at the last tick
+           //the hands the bug went over since the last tick, told apart by the offset changing sign
+           crossedHands: function (){
+              const offsets = new Map();
+              let res = [];
+              if(!game.gameOver)
+                for(let hand of game.hands()){
+                   const offset = delta(this.rotationDeg, hand.rotationDeg),
+                         before = this.handOffsets.get(hand);
+                   if(this.isFlying && before !== undefined && crossing(before, offset)) res.push(hand);
+                   offsets.set(hand, offset);
+                }
+              this.handOffsets = offsets;
               return res;
 
            },
            updateIdleDeg: function (){
-              const arrow1 = game.arrow1.idleDeg,
-                    arrow2 = game.arrow2.idleDeg;
-  
+              //rests in the middle of the widest gap between the hands
+              const angles = game.hands().map((hand)=>hand.idleDeg).sort((a,b)=>a-b);
+              let gap = -1;
 
-              let p1 = Math.min(arrow1,arrow2)+Math.abs(arrow1-arrow2)/2;
-              let p2 = p1+180;
-
-              p1%=360;
-              p2%=360;
-
-              if(Math.min(Math.abs(p1-game.arrow1.idleDeg),Math.abs(p1-game.arrow2.idleDeg)) > 
-                 Math.min(Math.abs(p2-game.arrow1.idleDeg),Math.abs(p2-game.arrow2.idleDeg)))
-                   this.idleDeg = p1;
-              else 
-                   this.idleDeg = p2;
-             
+              angles.forEach((angle,i)=>{
+                   const next = i+1 < angles.length? angles[i+1]: angles[0]+360;
+                   if(next-angle >= gap){
+                        gap = next-angle;
+                        this.idleDeg = (angle+gap/2)%360;
+                   }
+              });
 
            },
-           update:function (){
-              this.playAnimation(this.currentState+this.directionToString());
+           update:function (dt){
+              if(this.flung){
+                 this.flung.vy += this.flingGravity*game.clock.radius*dt;
+                 this.x += this.flung.vx*dt;
+                 this.y += this.flung.vy*dt;
+                 this.rotation += 2*Math.PI*this.flung.spin*dt/360;
+                 return;
+              }
+              if(this.animations) this.playAnimation(this.currentState+this.directionToString());
  
-              this.rotationDeg %= 360;
-              if(this.rotationDeg<0) this.rotationDeg+=360;
+              this.rotationDeg = wrap(this.rotationDeg);
               this.rotation = 2*Math.PI*(this.rotationDeg)/360;
 
               if(game.gameOver){  
                   this.updateIdleDeg(); 
 
-                  let shortest_dir = Math.sign(this.idleDeg - this.rotationDeg)  ;
-                  if(Math.abs(this.idleDeg - this.rotationDeg)>180) shortest_dir*=-1;          
-    
-
-                  if(this.rotationDeg > this.idleDeg){ 
-                       this.rotationDeg += shortest_dir *  2;
-                       if(this.rotationDeg < this.idleDeg) this.rotationDeg = this.idleDeg;
-                  }
-                  if(this.rotationDeg < this.idleDeg){ 
-                       this.rotationDeg += shortest_dir *  2;
-                       if(this.rotationDeg > this.idleDeg) this.rotationDeg = this.idleDeg;
-                  }
+                  //the short way round, landing on the resting angle exactly
+                  const left = delta(this.rotationDeg, this.idleDeg);
+                  if(Math.abs(left) <= this.idleSpeed*dt) this.rotationDeg = this.idleDeg;
+                  else this.rotationDeg += Math.sign(left)*this.idleSpeed*dt;
 
                   if(this.rotationDeg === this.idleDeg){
                        this.currentState = "idle";
@@ -102,31 +120,41 @@ export function  Bug (game, animations){
                          
               }else
 
-                  this.rotationDeg += this.rotationSpeed*this.direction;
+                  this.rotationDeg += this.rotationSpeed*this.direction*dt;
               
               
-              this.currentAnimation.update();
+              if(this.currentAnimation) this.currentAnimation.update(dt);
 
-              if(this.jumpSpeed) this.jumpSpeed+=this.gravity;
-              this.anchor.y+=this.jumpSpeed;
+              if(this.jumpSpeed) this.jumpSpeed+=this.gravity*dt;
+              this.anchor.y+=this.jumpSpeed*dt;
+              if(this.isFlying) this.airTime+=dt;
+              if(this.invulnerable) this.invulnerable = Math.max(0,this.invulnerable-dt);
+              if(this.bufferedJump) this.bufferedJump = Math.max(0,this.bufferedJump-dt);
               if(this.anchor.y<this.groundedAnchorY){
                 this.anchor.y = this.groundedAnchorY;
                 this.jumpSpeed = 0;
                 this.isFlying = 0;
+                this.airTime = 0;
                 this.currentState = "idle";
+                game.emit("bug_land");
+                if(this.bufferedJump){
+                   this.jump();
+                   if(!this.jumpHeld) this.cutJump();
+                }
               }
 
 
-              const arrows = this.isOverArrow();
-              if(arrows.length){
-                   if(!this.wereOverArrow)
-                        for(let a of arrows)
-                          emit("bug_overarrow",a);                   
-                   this.wereOverArrow = true;   
-              }else
-                   this.wereOverArrow = false;
+              for(let arrow of this.crossedHands())
+                   game.emit("bug_overarrow",arrow);
        
            },
+           //where the sprite's center and its feet are, relative to the clock center
+           center: function (){
+              return rotatePoint({x:0,y:-(this.anchor.y-0.5)*this.height}, this.rotation);
+           },
+           feet: function (){
+              return rotatePoint({x:0,y:-(this.anchor.y-1)*this.height}, this.rotation);
+           },
            calculatePath: function (){
               return [{x:0,         y:0},
                       {x:this.width,y:0},
@@ -134,28 +162,89 @@ export function  Bug (game, animations){
                       {x:0,         y:this.height}, 
                      ];
            },
-           calculateTransformedPath: function (){
+           //in any pose, the current one unless told otherwise
+           calculateTransformedPath: function (rotation = this.rotation, anchorY = this.anchor.y){
               let path = this.calculatePath(),
                   anchorWidth = this.width * this.anchor.x,
-                  anchorHeight = this.height * this.anchor.y;
+                  anchorHeight = this.height * anchorY;
 
               path = path.map((point)=>{
                           point.x -= anchorWidth;
                           point.y -= anchorHeight;
-                          return rotatePoint(point,this.rotation);                  
+                          return rotatePoint(point,rotation);                  
                      });
               return path;
            },
            jump: function (){
-               if(this.isFlying < 2){
-                 Sound["jump"]()
+               if(this.isFlying && this.airTime < this.coyoteTime) this.isFlying--;
+               if(this.isFlying < this.maxJumps){
+                 game.emit("bug_jump");
                  this.currentState = "jump";
-                 this.jumpSpeed=0.092	;
+                 this.jumpSpeed=this.launchSpeed;
                  this.isFlying ++;
-               };
+                 this.bufferedJump = 0;
+               }else
+                 this.bufferedJump = this.jumpBuffer;
            }, 
+           releaseJump: function (){
+               if(this.jumpHeld) this.cutJump();
+               this.jumpHeld = false;
+           },
+           cutJump: function (){
+               if(this.jumpSpeed > 0) this.jumpSpeed *= this.jumpCut;
+           },
+           //blinks while hands pass through it
+           render: function (){
+               if(this.invulnerable && Math.floor(this.invulnerable*10) % 2) return;
+               this.draw();
+               if(this.shielded) this.drawShield();
+           },
+           //a ring around the bug for as long as the shield holds
+           drawShield: function (){
+               const center = this.center(),
+                     context = this.context;
+               context.save();
+               context.globalAlpha = .6;
+               context.strokeStyle = game.colorScheme.scorebar;
+               context.lineWidth = this.width/12;
+               context.beginPath();
+               context.arc(this.x+center.x, this.y+center.y, this.width*0.75, 0, 2*Math.PI);
+               context.stroke();
+               context.restore();
+           },
+           act: function (action){
+               switch(action){
+                  case "jump": this.jumpHeld = true; this.jump(); break;
+                  case "jump_release": this.releaseJump(); break;
+                  case "switch": this.switchDirection(); break;
+               }
+           },
+           //off the rim: the sprite now pivots around its own center and falls freely
+           fling: function (){
+              const center = this.center(),
+                    out = rotatePoint({x:0,y:-1}, this.rotation),
+                    speed = this.flingSpeed*game.clock.radius;
+              this.x += center.x;
+              this.y += center.y;
+              this.anchor.y = 0.5;
+              this.flung = { vx: out.x*speed, vy: out.y*speed - speed/2, spin: this.direction*this.flingSpin };
+              game.emit("bug_flung",this.x,this.y);
+           },
+           //back on the rim, ready to slide home
+           recover: function (){
+              this.flung = null;
+              this.x = game.clock.x;
+              this.y = game.clock.y;
+              this.rotation = 2*Math.PI*this.rotationDeg/360;    //undoes the spin
+              this.jumpSpeed = 0;
+              this.isFlying = 0;
+              this.anchor.y = this.groundedAnchorY;
+           },
            die: function (){
                  this.currentState = "idle";
+                 this.bufferedJump = 0;
+                 this.jumpHeld = false;
+                 this.invulnerable = 0;
            },
            switchDirection: function (){
                this.direction *= -1;
@@ -165,6 +254,8 @@ export function  Bug (game, animations){
                 return "right";
            }   
       }) 
+      //a headless simulation has no sprite sheet to animate
+      if(animations) bug.animations = animations;
  
       defSize(game.clock.radius);
       defPosition(game.clock.x,game.clock.y);
@@ -0,0 +1,67 @@
+
+//a choreography sets every hand's angle over time, to be played as a level:
+//    {v: 1, name, duration, hands: [ {keys: [{t: seconds, deg: degrees}, ...]}, ... ]}
+//between two keys a hand turns evenly; angles are not wrapped, so 0 to 720 is two full turns
+const version = 1;
+
+export function newChoreography (hands = 2, duration = 10){
+     const choreography = {v: version, name: "untitled", duration: duration, hands: []};
+     for(let i = 0; i < hands; i++) choreography.hands.push({keys: [{t: 0, deg: i*180}]});
+     return choreography;
+}
+
+export function angleAt (keys, t){
+     if(t <= keys[0].t) return keys[0].deg;
+     for(let i = 1; i < keys.length; i++)
+          if(t < keys[i].t){
+               const from = keys[i-1],
+                     to = keys[i];
+               return from.deg + (to.deg-from.deg)*(t-from.t)/(to.t-from.t);
+          }
+     return keys[keys.length-1].deg;
+}
+
+//adds or moves the key at a time, keeping the keys in order
+export function setKey (keys, t, deg){
+     const existing = keys.find((key)=>key.t === t);
+     if(existing) existing.deg = deg;
+     else keys.push({t: t, deg: deg});
+     keys.sort((a,b)=>a.t-b.t);
+}
+
+export function removeKey (keys, t){
+     const index = keys.findIndex((key)=>key.t === t);
+     if(index >= 0 && keys.length > 1) keys.splice(index,1);
+}
+
+export function encodeChoreography (choreography){
+     return JSON.stringify(choreography, null, 1);
+}
+
+export function decodeChoreography (str){
+     let choreography;
+     try{
+          choreography = JSON.parse(str);
+     }catch(e){
+          throw new Error("invalid choreography: cannot parse");
+     }
+     return validateChoreography(choreography);
+}
+
+export function validateChoreography (choreography){
+     const fail = (reason)=>{ throw new Error("invalid choreography: "+reason); };
+     if(!choreography || choreography.v !== version) fail("unsupported format");
+     if(!(choreography.duration > 0)) fail("duration must be positive");
+     if(!Array.isArray(choreography.hands) || !choreography.hands.length) fail("no hands");
+     for(let hand of choreography.hands){
+          if(!hand || !Array.isArray(hand.keys) || !hand.keys.length) fail("a hand has no keys");
+          let last = -Infinity;
+          for(let key of hand.keys){
+               if(!key || typeof key.t !== "number" || typeof key.deg !== "number" || !isFinite(key.t) || !isFinite(key.deg))
+                    fail("bad key "+JSON.stringify(key));
+               if(key.t <= last) fail("keys out of order");
+               last = key.t;
+          }
+     }
+     return choreography;
+}
@@ -1,4 +1,4 @@
-import  { Sprite, emit }  from "./kontra.js"
+import  { Sprite }  from "./kontra.js"
 import  { rotatePoint }  from "./Util.js"
 const roman = [null,"Ⅰ","Ⅱ","Ⅲ","Ⅳ","Ⅴ","Ⅵ","Ⅶ","Ⅷ","Ⅸ","Ⅹ","Ⅺ","Ⅻ"];
 export function Clock (game,x,y,radius = 100){
@@ -14,7 +14,7 @@ export function Clock (game,x,y,radius = 100){
            scaleSpeed: null,
            scaleAcceleration: 0.08,
            hideNumbers: false,
-           numbersHidingSpeed: 1/25,
+           numbersHidingSpeed: 2.4,
            
            numbersOpacity: 1,
 
@@ -25,9 +25,9 @@ export function Clock (game,x,y,radius = 100){
               this.radius=radius;
               this.minRadius = radius;
               this.maxRadius = radius*1.5;
-              this.scaleSpeed = (this.maxRadius-this.minRadius)/30;
+              this.scaleSpeed = (this.maxRadius-this.minRadius)*2;
               this.numbersRadius=2*radius;
-              emit("clock_resize",radius);
+              game.emit("clock_resize",radius);
               return this;
 
            },
@@ -35,42 +35,42 @@ export function Clock (game,x,y,radius = 100){
  
               this.x= x || 0;
               this.y= y || 0;
-              emit("clock_reposition",x,y);
+              game.emit("clock_reposition",x,y);
               return this;
 
            }, 
 
-           update(){
+           update(dt){
              if(this.hideNumbers){
                 if(this.numbersOpacity>0){
-                   this.numbersOpacity-=this.numbersHidingSpeed;
+                   this.numbersOpacity-=this.numbersHidingSpeed*dt;
                    if(this.numbersOpacity<0) this.numbersOpacity=0;
                 }
              }else{
                 if(this.numbersOpacity<1){
-                   this.numbersOpacity+=this.numbersHidingSpeed;
+                   this.numbersOpacity+=this.numbersHidingSpeed*dt;
                    if(this.numbersOpacity>1) this.numbersOpacity=1;
                 }
              }
              if(this.scaleUp){
                 if(this.radius<this.maxRadius){
-                   this.radius+=this.scaleSpeed;
+                   this.radius+=this.scaleSpeed*dt;
                 //   this.scaleSpeed+=this.scaleAcceleration;
                    if(this.radius>this.maxRadius)
                        this.radius = this.maxRadius,
-                       this.scaleSpeed = 1;
+                       this.scaleSpeed = 60;
                    this.numbersRadius=2*this.radius;
-                   emit("clock_resize",this.radius);
+                   game.emit("clock_resize",this.radius);
                 }
              }else{
                 if(this.radius>this.minRadius){
-                   this.radius-=this.scaleSpeed;
+                   this.radius-=this.scaleSpeed*dt;
                 //   this.scaleSpeed+=this.scaleAcceleration;
                    if(this.radius<this.minRadius)
                        this.radius = this.minRadius,
-                       this.scaleSpeed = 1;
+                       this.scaleSpeed = 60;
                    this.numbersRadius=2*this.radius;
-                   emit("clock_resize",this.radius);
+                   game.emit("clock_resize",this.radius);
                 }
              }
 
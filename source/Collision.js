@@ -1,8 +1,145 @@
 
-export function SATCollision(poly1,poly2){
-      let s1 = new Shape(poly1),
-          s2 = new Shape(poly2);
-     return s1.checkCollision(s2);  
+//concave outlines are tested piece by piece, a hit on any pair of pieces is a hit;
+//asked for a manifold it returns null for no hit, otherwise the deepest contact found:
+//    {mtv, depth, normal, edge: {polygon: 1|2, index}}
+//normal is a unit vector pointing from poly1 towards poly2 and mtv = normal*depth is the
+//shortest move of poly2 that parts them (for concave ones, that parts the deepest pair of
+//pieces, others may still touch); edge is the one whose normal that is, by the index
+//of its first point, -1 when it is a cut made while splitting a concave polygon
+export function SATCollision(poly1,poly2,manifold = false){
+      let pieces1 = convexPieces(poly1).map((piece)=>new Shape(piece)),
+          pieces2 = convexPieces(poly2).map((piece)=>new Shape(piece));
+     if(!manifold) return pieces1.some((s1)=>pieces2.some((s2)=>s1.checkCollision(s2)));  
+     return SATContact(poly1,poly2).manifold;
+}
+
+//the manifold and the distance from one pass: {manifold, gap}, the manifold as above and gap
+//how far apart the polygons are, as the widest gap the SAT axes show between their closest
+//pieces (exact when the nearest features face each other), 0 when they touch
+export function SATContact(poly1,poly2){
+      let pieces1 = convexPieces(poly1).map((piece)=>new Shape(piece)),
+          pieces2 = convexPieces(poly2).map((piece)=>new Shape(piece)),
+          deepest = null,
+          gap = Infinity;
+      for(let s1 of pieces1)
+           for(let s2 of pieces2){
+                const contact = s1.contact(s2);
+                gap = Math.min(gap, contact.gap);
+                if(!contact.gap && (!deepest || contact.depth > deepest.depth)) deepest = contact;
+           }
+      if(!deepest) return {manifold: null, gap: gap};
+
+      const {depth, normal, from, to, owner} = deepest;
+      return {
+           manifold: {
+                mtv: {x: normal.x*depth, y: normal.y*depth},
+                depth: depth,
+                normal: normal,
+                edge: {polygon: owner, index: edgeIndex(owner === 1? poly1: poly2, from, to)}
+           },
+           gap: 0
+      };
+}
+
+//where an edge of a piece starts in the polygon it was cut from
+function edgeIndex(points,from,to){
+      const i = points.indexOf(from);
+      if(i < 0) return -1;
+      for(let k = 1; k < points.length; k++){
+           const next = points[(i+k)%points.length];
+           if(next.x === from.x && next.y === from.y) continue;
+           return next.x === to.x && next.y === to.y? i: -1;
+      }
+      return -1;
+}
+
+//splits a simple polygon into convex pieces: ear clipping into triangles,
+//then neighbouring pieces are merged back for as long as the union stays convex
+export function convexPieces(points){
+      let poly = points.filter((p,i)=>{
+                     const next = points[(i+1)%points.length];
+                     return p.x !== next.x || p.y !== next.y;
+                 });
+      if(poly.length < 4 || isConvex(poly)) return [poly];
+
+      let pieces = triangulate(poly),
+          merged = true;
+      while(merged){
+           merged = false;
+           for(let i = 0; i < pieces.length && !merged; i++)
+                for(let j = i+1; j < pieces.length && !merged; j++){
+                     const union = mergePieces(pieces[i],pieces[j]);
+                     if(union && isConvex(union)){
+                          pieces.splice(j,1);
+                          pieces[i] = union;
+                          merged = true;
+                     }
+                }
+      }
+      return pieces;
+}
+
+function cross(a,b,c){
+      return (b.x-a.x)*(c.y-b.y) - (b.y-a.y)*(c.x-b.x);
+}
+
+function area(poly){
+      let sum = 0;
+      poly.forEach((p,i)=>{
+           const next = poly[(i+1)%poly.length];
+           sum += p.x*next.y - next.x*p.y;
+      });
+      return sum/2;
+}
+
+function isConvex(poly){
+      let sign = 0;
+      for(let i = 0; i < poly.length; i++){
+           const turn = Math.sign(cross(poly[i], poly[(i+1)%poly.length], poly[(i+2)%poly.length]));
+           if(turn && sign && turn !== sign) return false;
+           sign = sign || turn;
+      }
+      return true;
+}
+
+function inTriangle(p,a,b,c){
+      const d1 = cross(a,b,p), d2 = cross(b,c,p), d3 = cross(c,a,p);
+      return !((d1 < 0 || d2 < 0 || d3 < 0) && (d1 > 0 || d2 > 0 || d3 > 0));
+}
+
+function triangulate(poly){
+      const sign = Math.sign(area(poly)),
+            triangles = [];
+      let left = poly.slice();
+
+      while(left.length > 3){
+           let ear = -1;
+           for(let i = 0; i < left.length && ear < 0; i++){
+                const a = left[(i+left.length-1)%left.length], b = left[i], c = left[(i+1)%left.length];
+                if(cross(a,b,c)*sign <= 0) continue;
+                if(left.some((p)=>p !== a && p !== b && p !== c && inTriangle(p,a,b,c))) continue;
+                ear = i;
+                triangles.push([a,b,c]);
+           }
+           //nothing left to clip off cleanly, whatever remains goes in as it is
+           if(ear < 0) break;
+           left.splice(ear,1);
+      }
+      triangles.push(left);
+      return triangles;
+}
+
+//two pieces sharing an edge, joined along it; null when they share none
+function mergePieces(a,b){
+      for(let i = 0; i < a.length; i++){
+           const p = a[i], q = a[(i+1)%a.length], j = b.indexOf(q);
+           if(j < 0 || b[(j+1)%b.length] !== p) continue;
+           const union = [];
+           for(let k = 1; k <= a.length; k++) union.push(a[(i+k)%a.length]);
+           for(let k = 2; k < b.length; k++) union.push(b[(j+k)%b.length]);
+           return union;
+      }
+      return null;
 }
 
 function Shape(points, x, y) {
@@ -56,6 +193,54 @@ Shape.prototype.checkCollision = function (shape) {
     });
 };
 
+//the axis along which the other shape has the least way to go to get clear, with gap 0;
+//when some axis separates the two shapes, just {gap}: the widest separation of them all.
+//Of two edges giving the same depth the one facing the other shape wins
+Shape.prototype.contact = function (shape) {
+    var me = this,
+        c1 = me.center(),
+        c2 = shape.center(),
+        best = null,
+        gap = -Infinity,
+        n, i, axis, p1, p2, ahead, behind, overlap, sign, facing, own, middle, other;
+
+    for (var o = 0; o < 2; o++) {
+        own = o ? shape : me;
+        middle = o ? c2 : c1;
+        other = o ? c1 : c2;
+        n = own.points.length;
+        for (i = 0; i < n; i++) {
+            axis = own.normals[i];
+            p1 = me.project(axis);
+            p2 = shape.project(axis);
+            //how far the other shape has to move along the axis to clear it, and how far back
+            ahead = p1.max - p2.min;
+            behind = p2.max - p1.min;
+            overlap = Math.min(ahead, behind);
+            gap = Math.max(gap, -overlap);
+            if (overlap < 0) continue;
+            sign = ahead < behind ? 1 : behind < ahead ? -1 :
+                   ((c2.x - c1.x) * axis.x + (c2.y - c1.y) * axis.y < 0 ? -1 : 1);
+            facing = ((own.medians[i].x - middle.x) * axis.x + (own.medians[i].y - middle.y) * axis.y) *
+                     ((other.x - own.medians[i].x) * axis.x + (other.y - own.medians[i].y) * axis.y) > 0;
+            if (!best || overlap < best.depth - 1e-9 || (overlap < best.depth + 1e-9 && facing && !best.facing))
+                best = {depth: overlap, normal: {x: sign * axis.x, y: sign * axis.y}, facing: facing, owner: o + 1, from: own.points[i], to: own.points[(i + 1) % n]};
+        }
+    }
+    if (gap > 0) return {gap: gap};
+    best.gap = 0;
+    return best;
+};
+
+Shape.prototype.center = function () {
+    var x = 0, y = 0;
+    this.points.forEach(function (p) {
+        x += p.x;
+        y += p.y;
+    });
+    return {x: this.x + x / this.points.length, y: this.y + y / this.points.length};
+};
+
 Shape.prototype.project = function (vector) {
     var me = this,
         p = this.points,
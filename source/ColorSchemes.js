@@ -27,37 +27,44 @@ const ColorSchemes = {
      transition: function (index1,index2){
           const scheme1 = this.get(index1),
                 scheme2 = this.get(index2);
-          return transitionColorScheme(scheme1,scheme2);
+          return primed(transitionColorScheme(scheme1,scheme2));
      },
      length: pool.length
 };
 
 
+//generators are primed, so the first next(dt) already carries a time step
+function primed(generator){
+    generator.next();
+    return generator;
+}
+
 function* transitionColorScheme(from,to){
     const generator = {
-         background: transitionColor(from.background,to.background),
-         scorebar: transitionColor(from.scorebar,to.scorebar),
-         arrows: transitionColor(from.arrows,to.arrows),
-         clock: transitionColor(from.clock,to.clock),
-         numbers: transitionColor(from.numbers,to.numbers),
+         background: primed(transitionColor(from.background,to.background)),
+         scorebar: primed(transitionColor(from.scorebar,to.scorebar)),
+         arrows: primed(transitionColor(from.arrows,to.arrows)),
+         clock: primed(transitionColor(from.clock,to.clock)),
+         numbers: primed(transitionColor(from.numbers,to.numbers)),
     }
     const colorScheme = Object.assign({},from);
+    let dt = yield;
     while(true){
        let done = true;
        for(let a of Object.keys(colorScheme)){
              
-             let obj = generator[a].next();
+             let obj = generator[a].next(dt);
              colorScheme[a] = obj.value || colorScheme[a];
              if(obj.value) done = false;
 
        }
        if(done) break;
-       else yield colorScheme;
+       else dt = yield colorScheme;
     }
 }
 
 function* transitionColor(from,to){
-     const step = 2;
+     const speed = 120;//color channel units per second
      let f  = [ parseInt(from.slice(1,3),16),
                 parseInt(from.slice(3,5),16),
                 parseInt(from.slice(5,7),16) ] ,
@@ -65,11 +72,12 @@ function* transitionColor(from,to){
                 parseInt(to.slice(3,5),16),
                 parseInt(to.slice(5,7),16) ] ;
 
-     let done = [false,false,false]
+     let done = [false,false,false],
+         dt = yield;
      while(!done[0] || !done[1] || !done[2]){
         for(let i = 0;i<3;i++){
             const dir = Math.sign(t[i]-f[i]);
-            f[i] += step * dir ;
+            f[i] += speed * dt * dir ;
             if(dir == -1)
                if(f[i] < t[i]) f[i] = t[i];
                
@@ -79,11 +87,11 @@ function* transitionColor(from,to){
             if(dir == 0) done[i] = true;
                
         }
-        let r = f[0].toString(16), g = f[1].toString(16), b = f[2].toString(16);
+        let r = Math.round(f[0]).toString(16), g = Math.round(f[1]).toString(16), b = Math.round(f[2]).toString(16);
         if(r.length == 1) r = "0"+r;
         if(g.length == 1) g = "0"+g;
         if(b.length == 1) b = "0"+b;
-        yield "#"+r+g+b;
+        dt = yield "#"+r+g+b;
    
      }
 }
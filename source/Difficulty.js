@@ -0,0 +1,41 @@
+
+//a profile is a list of stages, each one holding from its score until the next begins:
+//speeds are the hands' starting speeds in degrees per second, in the order of the hands,
+//acceleration is what a hand gains each time the bug clears it, up to maxSpeed,
+//reversal is the chance the cleared hand turns around, telegraph how many seconds it warns
+//before doing so (0 turns it around on the spot) and hands is how many are in play;
+//patterns are the authored movements a cleared hand may set off instead, with patternChance
+export const profiles = {
+     easy: {
+          name: "easy",
+          stages: [
+               { from: 0,  hands: 2, speeds: [45,45],      acceleration: 1.8, maxSpeed: 150, reversal: .3, telegraph: .6 },
+               { from: 15, hands: 2, speeds: [60,60],      acceleration: 2.4, maxSpeed: 180, reversal: .4, telegraph: .6, patterns: ["sweep","dash"], patternChance: .2 },
+               { from: 30, hands: 3, speeds: [60,60,110],  acceleration: 2.4, maxSpeed: 200, reversal: .5, telegraph: .5, patterns: ["sweep","dash","converge"], patternChance: .25 }
+          ]
+     },
+     normal: {
+          name: "normal",
+          stages: [
+               { from: 0,  hands: 2, speeds: [60,108],     acceleration: 2.4, maxSpeed: 240, reversal: .5, telegraph: .35 },
+               { from: 20, hands: 3, speeds: [60,108,150], acceleration: 2.4, maxSpeed: 260, reversal: .5, telegraph: .35, patterns: ["sweep","dash","converge"], patternChance: .25 }
+          ]
+     },
+     hard: {
+          name: "hard",
+          stages: [
+               { from: 0,  hands: 2, speeds: [75,120],     acceleration: 3,   maxSpeed: 280, reversal: .6, telegraph: .25 },
+               { from: 10, hands: 3, speeds: [75,120,160], acceleration: 3.6, maxSpeed: 320, reversal: .6, telegraph: .15, patterns: ["sweep","dash","converge"], patternChance: .3 },
+               { from: 25, hands: 3, speeds: [90,120,180], acceleration: 3.6, maxSpeed: 360, reversal: .7, telegraph: 0, patterns: ["sweep","dash","converge","chase"], patternChance: .35 }
+          ]
+     }
+};
+
+export const difficulties = Object.keys(profiles);
+
+export function stageFor (profile, score){
+     let stage = profile.stages[0];
+     for(let candidate of profile.stages)
+          if(score >= candidate.from) stage = candidate;
+     return stage;
+}
@@ -0,0 +1,176 @@
+import  { newChoreography, angleAt, setKey, removeKey, encodeChoreography, decodeChoreography }  from "./Choreography.js"
+import  { delta, toDegrees }  from "./Angles.js"
+
+const $ = (id)=>document.getElementById("editor_"+id);
+
+//keys are set on a tenth of a second grid, so scrubbing back lands on them again
+const snap = (t)=> Math.round(t*10)/10;
+
+//the choreography editor: pick a hand, scrub to a time and drag the hand round the clock to key
+//its angle there; preview plays it as a level with the bug, export and import go through JSON;
+//returns a release() removing every listener it added
+export function Editor (game, {panel, open}, {onopen = ()=>{}, onclose = ()=>{}} = {}){
+     if(!game) throw new Error("game is not defined");
+
+     let choreography = newChoreography(),
+         selected = 0,
+         time = 0,
+         dragging = false,
+         previewing = null;     //the level that was loaded before a preview, if one is running
+
+     //every hand to where the choreography has it at the current time
+     const pose = ()=>{
+          if(!game.flow.is("editing")) return;
+          game.arrows.forEach((hand,i)=>{
+               hand.active = i < choreography.hands.length;
+               if(hand.active) hand.pose(angleAt(choreography.hands[i].keys, time));
+          });
+     };
+
+     const render = ()=>{
+          const keys = choreography.hands[selected].keys;
+          $("hand").textContent = (selected+1)+" of "+choreography.hands.length;
+          $("time").max = choreography.duration;
+          $("time").value = time;
+          $("time_label").textContent = time.toFixed(1)+"s";
+          $("duration").value = choreography.duration;
+          $("name").value = choreography.name;
+          $("preview").textContent = previewing? "stop": "preview";
+          $("status").textContent = "";
+          $("keys").innerHTML = "";
+          for(let key of keys){
+               const button = document.createElement("button");
+               button.className = "key-button"+(key.t === time? " highlight": "");
+               button.textContent = key.t.toFixed(1)+"s "+Math.round(key.deg)+"°";
+               button.onclick = ()=>{ time = key.t; render(); };
+               $("keys").appendChild(button);
+          }
+          pose();
+     };
+
+     const status = (message)=>{ $("status").textContent = message; };
+
+     let listeners = [];
+     const listen = (target,type,handler)=>{
+          target.addEventListener(type,handler);
+          listeners.push([target,type,handler]);
+     };
+
+     //keys the selected hand at the pointer, unwrapped so dragging round keeps turning the same way
+     const drag = (e)=>{
+          const keys = choreography.hands[selected].keys,
+                pointed = toDegrees(Math.atan2(e.clientX-game.clock.x, game.clock.y-e.clientY)),
+                current = angleAt(keys, time);
+          setKey(keys, time, Math.round(current + delta(current, pointed)));
+          render();
+     };
+     listen(game.canvas,"pointerdown",(e)=>{
+          if(!game.flow.is("editing")) return;
+          dragging = true;
+          drag(e);
+     });
+     listen(game.canvas,"pointermove",(e)=>{
+          if(dragging && game.flow.is("editing")) drag(e);
+     });
+     listen(window,"pointerup",()=>{ dragging = false; });
+
+     //a preview ends with its run, back where the editing left off
+     const stopPreview = ()=>{
+          const level = previewing.level;
+          previewing = null;
+          game.edit();
+          game.loadLevel(level);
+     };
+     listen(game,"statechange",(e)=>{
+          if(!previewing || e.detail.to !== "over") return;
+          stopPreview();
+          render();
+     });
+
+     const show = ()=>{
+          game.edit();
+          panel.style.display = "block";
+          onopen();
+          render();
+     };
+     const hide = ()=>{
+          if(previewing) stopPreview();
+          panel.style.display = "none";
+          game.stopEditing();
+          onclose();
+     };
+
+     listen($("hand"),"click",()=>{ selected = (selected+1) % choreography.hands.length; render(); });
+     listen($("add_hand"),"click",()=>{
+          if(choreography.hands.length >= game.arrows.length) return status("the clock has only "+game.arrows.length+" hands");
+          choreography.hands.push({keys: [{t: 0, deg: 0}]});
+          selected = choreography.hands.length-1;
+          render();
+     });
+     listen($("remove_hand"),"click",()=>{
+          if(choreography.hands.length < 2) return;
+          choreography.hands.splice(selected,1);
+          selected = Math.min(selected, choreography.hands.length-1);
+          render();
+     });
+     listen($("time"),"input",()=>{ time = snap(+$("time").value); render(); });
+     listen($("duration"),"change",()=>{
+          choreography.duration = Math.max(1, +$("duration").value || 1);
+          time = Math.min(time, choreography.duration);
+          render();
+     });
+     listen($("name"),"change",()=>{ choreography.name = $("name").value || "untitled"; });
+     listen($("unkey"),"click",()=>{ removeKey(choreography.hands[selected].keys, time); render(); });
+     listen($("preview"),"click",()=>{
+          if(previewing){
+               stopPreview();
+               return render();
+          }
+          previewing = {level: game.level};
+          game.loadLevel(JSON.parse(encodeChoreography(choreography)));
+          game.restart();
+          render();
+     });
+     listen($("play"),"click",()=>{
+          game.loadLevel(JSON.parse(encodeChoreography(choreography)));
+          previewing = null;
+          hide();
+     });
+     listen($("export"),"click",()=>{
+          const text = encodeChoreography(choreography),
+                link = document.createElement("a");
+          $("json").value = text;
+          link.href = URL.createObjectURL(new Blob([text],{type: "application/json"}));
+          link.download = choreography.name+".json";
+          link.click();
+          URL.revokeObjectURL(link.href);
+          status("exported");
+     });
+     listen($("import"),"click",()=>{
+          try{
+               const imported = decodeChoreography($("json").value);
+               if(imported.hands.length > game.arrows.length) throw new Error("invalid choreography: the clock has only "+game.arrows.length+" hands");
+               choreography = imported;
+               selected = 0;
+               time = 0;
+               render();
+               status("imported");
+          }catch(err){
+               status(err.message);
+          }
+     });
+     listen($("close"),"click",hide);
+
+     listen(open,"click",(e)=>{ show(); e.stopPropagation(); });
+     listen(panel,"click",(e)=>e.stopPropagation());
+     listen(panel,"pointerdown",(e)=>e.stopPropagation());
+     listen(open,"pointerdown",(e)=>e.stopPropagation());
+
+     return {
+          release: function (){
+               for(let [target,type,handler] of listeners)
+                    target.removeEventListener(type,handler);
+               listeners = [];
+          }
+     };
+}
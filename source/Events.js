@@ -0,0 +1,29 @@
+
+//same on/off/emit api as kontra's global events, but one bus per game,
+//so a torn down game takes its subscriptions with it
+export function EventBus (){
+
+     let callbacks = {};
+
+     return {
+          on: function (event, callback){
+               callbacks[event] = callbacks[event] || [];
+               callbacks[event].push(callback);
+               return ()=>this.off(event,callback);
+          },
+          off: function (event, callback){
+               let index;
+               if(!callbacks[event] || (index = callbacks[event].indexOf(callback)) < 0) return;
+               callbacks[event].splice(index, 1);
+          },
+          emit: function (event, ...args){
+               //copied, so a callback may unsubscribe itself while being called
+               for(let callback of (callbacks[event] || []).slice())
+                    callback(...args);
+          },
+          clear: function (){
+               callbacks = {};
+          }
+     };
+
+}
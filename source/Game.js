@@ -1,32 +1,52 @@
-
-import  { GameLoop, SpriteSheet, imageAssets, load, on, init as initKontra }  from "./kontra.js"
-import  { Clock }  from "./Clock.js"
-import  { Bug }  from "./Bug.js"
+import  { GameLoop, SpriteSheet, imageAssets, load, init as initKontra }  from "./kontra.js"
 import  { Sound }  from "./Sound.js"
 import  { ScoreBar }  from "./ScoreBar.js"
-import  { rotatePoint, isMobile }  from "./Util.js"
-import  { SATCollision }  from "./Collision.js"
-import  { Arrows }  from "./Arrows.js"
+import  { isMobile, timestep }  from "./Util.js"
 import  { ColorSchemes }  from "./ColorSchemes.js"
+import  { Simulation }  from "./Simulation.js"
+import  { InputManager }  from "./Input.js"
+import  { encodeReplay }  from "./Replay.js"
+import  { Particles }  from "./Particles.js"
+import  { Random }  from "./Random.js"
 
 
-let  {canvas, context} = initKontra();
+const mobile = isMobile(),
+      cosmetic = Random();
 
-const mobile = isMobile();
+//the canvas side of a Simulation: colors, hud, sounds and the DOM glue
+export class Game extends Simulation{
 
-export class Game extends EventTarget{
+    constructor(canvas, context, bindings){
+         const ssheet = SpriteSheet({
+                 image: imageAssets["BUG"],
+                 frameWidth: 50,
+                 frameHeight: 50,
 
-    constructor(){
-         super();
+                 animations: {
+                    idleright: { frames: ['0..4','4..0'], frameRate: 10 },
+                    jumpright: { frames: 5 },
+                    idleleft: { frames: ['11..7','7..11'], frameRate: 10 },
+                    jumpleft: { frames: 6 }
+                 }
+         });
+         super({animations: ssheet.animations});
 
-         this.gameOver = true;
+         this.canvas = canvas;
+         this.context = context;
+         this.bindings = bindings;
 
          this.colorSchemeIdx = 1;
          this.colorScheme = ColorSchemes.get(0);
          this.transitionColorScheme = ColorSchemes.transition(0,1);;
 
-         on("scorebar_add",(score)=>{
-              if(score % 5 == 0)
+         this.shakeTime = 0.5;      //seconds the screen shakes once the bug is flung
+         this.shakeSize = 0.12;     //in clock radii
+         this.particles = Particles(this);
+         this.editor = null;        //an Editor working on this game, released along with it
+
+         this.on("scorebar_add",(score,earned)=>{
+              //every fifth point, even when a multiplier jumps over it
+              if(Math.floor(score/5) > Math.floor((score-earned)/5))
               {
                  const previous = this.colorSchemeIdx;
                  do{
@@ -34,94 +54,77 @@ export class Game extends EventTarget{
                     this.colorSchemeIdx%=ColorSchemes.length;
                  }while(this.colorSchemeIdx==0)//because 0-th is a complete darkness;
                  this.transitionColorScheme = ColorSchemes.transition(previous,this.colorSchemeIdx);
+                 this.particles.emit({x: this.clock.x, y: this.clock.y, count: 60, speed: 4, life: 1, size: 0.06, color: this.colorScheme.scorebar});
+              }
+         });
+         this.on("bug_land",()=>{
+              const feet = this.bug.feet(),
+                    angle = this.bug.rotation;
+              //two puffs along the rim, one each way
+              for(let side of [-1,1])
+                 this.particles.emit({x: this.clock.x+feet.x, y: this.clock.y+feet.y, count: 5, speed: .6, angle: angle+side*Math.PI/3, spread: Math.PI/3, life: 0.4, size: 0.05, color: this.colorScheme.clock});
+         });
+         //sparks off the bug along the normal of the contact, the way the hand pushed it
+         const sparks = (manifold)=>{
+              if(!manifold) return;
+              const center = this.bug.center();
+              this.particles.emit({x: this.clock.x+center.x, y: this.clock.y+center.y, count: 16, speed: 2.5,
+                                   angle: Math.atan2(manifold.normal.x, -manifold.normal.y), spread: Math.PI/2,
+                                   life: 0.5, size: 0.04, color: this.colorScheme.scorebar});
+         };
+         this.on("bug_hit",(lives,manifold)=>sparks(manifold));
+         this.on("bug_hit_absorbed",sparks);
+         this.on("bug_overarrow",()=>{
+              const center = this.bug.center();
+              this.particles.emit({x: this.clock.x+center.x, y: this.clock.y+center.y, count: 14, speed: 2, life: 0.4, size: 0.03, color: this.colorScheme.scorebar, gravity: 4});
+         });
+         this.on("bug_jump",()=>Sound["jump"]());
+         this.on("bug_flung",(x,y)=>{
+              this.particles.emit({x, y, count: 40, speed: 3, life: 0.8, size: 0.08, color: this.colorScheme.scorebar, gravity: 6});
+         });
+         this.addEventListener("statechange",(e)=>{
+              switch(e.detail.to){
+                 case "dying":
+                      Sound["crash"]();
+                      break;
+                 case "over":
+                      this.transitionColorScheme = ColorSchemes.transition(this.colorSchemeIdx,1);
+                      this.colorSchemeIdx = 1;
+                      break;
               }
          });
-         this.clock = Clock(this);
 
          this.scoreBar = ScoreBar(this);
-   
-         let arrows = Arrows(this); 
-         this.arrow1 = arrows[0];
-         this.arrow2 = arrows[1];
 
-         const ssheet = SpriteSheet({
-                 image: imageAssets["BUG"],
-                 frameWidth: 50,
-                 frameHeight: 50,
+         this.onresize = this.onresize.bind(this);
+         this.onresize();      
+         window.addEventListener("resize",this.onresize);
 
-                 animations: {
-                    idleright: { frames: ['0..4','4..0'], frameRate: 10 },
-                    jumpright: { frames: 5 },
-                    idleleft: { frames: ['11..7','7..11'], frameRate: 10 },
-                    jumpleft: { frames: 6 }
-                 }
+         this.inputs = InputManager(bindings, this.act.bind(this));
+
+         this.loop = GameLoop({  
+              fps: 1/timestep,
+              update:  this.update.bind(this),
+              render:  this.render.bind(this)
          });
-          
-         this.bug = Bug(this,ssheet.animations); 
-         on("bug_overarrow",(arrow)=>{
-               this.scoreBar.add(1);
-               arrow.randomDirectionChange();
-               arrow.rotationSpeed+=0.04;
-         })
-
- 
-         
-     
-         this.onresize();      
-         window.addEventListener("resize",this.onresize.bind(this));
-
-         if(mobile){
-            document.addEventListener("touchstart",(e)=>{
-               if(this.gameOver) return;
-               const w = window.innerWidth,
-                     h = window.innerHeight;
- 
-               const touch = e.touches.item(0);
-               if(touch.pageX>w/2) this.bug.jump();
-               else this.bug.switchDirection();
-            })    
-         }else{
-            document.addEventListener("keydown",(e)=>{
-                if(this.gameOver) return;
-                switch(e.keyCode){
-                   case 38: this.bug.jump(); break;
-                   case 32: this.bug.switchDirection(); break;
-                }
-            });
-         }
-         document.addEventListener(mobile?"touchstart":"keydown",()=>{
-          if(this.bug.idleDeg === this.bug.rotationDeg && 
-             this.arrow1.idleDeg === this.arrow1.rotationDeg &&
-             this.arrow2.idleDeg === this.arrow2.rotationDeg)
-
-            this.start();
-
-
-         })
     }
-    
-    start(){ 
-          this.gameOver = false;
-          this.clock.scaleUp = true;
-          this.clock.hideNumbers = true;
+    destroy(){
+          this.loop.stop();
+          this.inputs.release();
+          window.removeEventListener("resize",this.onresize);
+          if(this.editor) this.editor.release();
+          super.destroy();
     }
-    finish(){
-          Sound["crash"](); 
-          this.bug.die();
-          this.gameOver = true;
-          this.clock.scaleUp = false;
-          this.clock.hideNumbers = false;
-
-          this.transitionColorScheme = ColorSchemes.transition(this.colorSchemeIdx,1);
-          this.colorSchemeIdx = 1;
-
+    
+    exportReplay(){
+          return this.lastReplay && encodeReplay(this.lastReplay);
     }
     onresize(){
          const w = window.innerWidth,
                h = window.innerHeight;
 
-         canvas.width = w;
-         canvas.height = h;
+         this.canvas.width = w;
+         this.canvas.height = h;
 
          const radius = mobile?w/6:h/10;
 
@@ -129,51 +132,72 @@ export class Game extends EventTarget{
          this.clock.reposition(w/2,h/2);
 
     } 
-    collidedBugArrows(){ 
- 
-      const arrow1 = this.arrow1.calculateTransformedPath().slice(0,3),
-            arrow2 = this.arrow2.calculateTransformedPath().slice(0,3),
-            bug = this.bug.calculateTransformedPath();
-        
-      return ( SATCollision(arrow1,bug) || SATCollision(arrow2,bug));
-
-    }
-    update(){
-      if(this.transitionColorScheme){
-          let obj = this.transitionColorScheme.next();
+    tick(dt){
+      this.inputs.poll();
+      if(this.transitionColorScheme && !this.flow.is("paused")){
+          let obj = this.transitionColorScheme.next(dt);
           this.colorScheme = obj.value || this.colorScheme;
           if(obj.done) this.transitionColorScheme = null;
       }
-      this.clock.update();
-      this.scoreBar.update();
-      this.arrow1.update();
-      this.arrow2.update();
-      this.bug.update();
-      if(!this.gameOver && this.collidedBugArrows()) this.finish();
+      super.tick(dt);
+      if(!this.flow.is("paused")) this.particles.update(dt);
+      this.scoreBar.update(dt);
     }
     render(){
-      const w = window.innerWidth,
-            h = window.innerHeight;
+      const context = this.context,
+            w = this.canvas.width,
+            h = this.canvas.height;
       let grd = context.createRadialGradient(w/2,h/2, 0,w/2,h/2, Math.max(w,h));
       grd.addColorStop(0, this.colorScheme.background);
       grd.addColorStop(1, "#000");
       context.fillStyle = grd;
       context.fillRect(0,0,w,h);
 
-      this.arrow1.render();
-      this.arrow2.render();
+      context.save();
+      this.shake();
+      for(let hand of this.hands()) hand.render();
       this.clock.render();      
       this.bug.render();
+      this.powerUps.render();
+      this.particles.render();
+      context.restore();
       this.scoreBar.render();
+      if(this.flow.is("paused")) this.renderPaused();
+    }
+    //a decaying jolt, from the moment the hit-stop ends
+    shake(){
+      if(!this.flow.is("dying")) return;
+      const left = 1 - (this.flow.time - this.hitStopTime)/this.shakeTime;
+      if(left <= 0 || left > 1) return;
+      const size = this.shakeSize*this.clock.radius*left;
+      this.context.translate(cosmetic.range(-size,size), cosmetic.range(-size,size));
+    }
+    renderPaused(){
+      const context = this.context,
+            w = this.canvas.width,
+            h = this.canvas.height,
+            size = this.clock.radius/2;
+      context.globalAlpha = .6;
+      context.fillStyle = "#000";
+      context.fillRect(0,0,w,h);
+      context.globalAlpha = 1;
+      context.fillStyle = "#fff";
+      context.textBaseline = 'middle';
+      context.textAlign = 'center';
+      context.font = ' bold '+size+'px sans-serif';
+      context.fillText("paused", w/2, h/2);
+      context.font = 'bold '+size/2+'px sans-serif';
+      context.fillText(mobile?"Tap to resume":"Press "+this.bindings.describe("pause")+" to resume", w/2, h/2+size);
     }
 }
 
-export default function (){
+export default function (bindings){
      return new Promise((res,rej)=>{
        
         load('BUG.png').then(()=>{
-            
-             res(new Game());
+             
+             let  {canvas, context} = initKontra();
+             res(new Game(canvas, context, bindings));
 
         }).catch(err=>{
 
@@ -185,10 +209,3 @@ export default function (){
      })
 
 }
-
-
-
-
-
-
-
@@ -0,0 +1,55 @@
+
+//buttons of the "standard" gamepad layout
+const buttons = {
+     jump: [0,3,12],    //A, Y, d-pad up
+     switch: [1,2,14,15], //B, X, d-pad left and right
+     pause: [9],        //start
+     restart: [8]       //back
+};
+
+//the Gamepad API has no button events, so pads are polled once per tick
+//and a press is a button that is down now but was not on the previous poll
+export function GamepadInput (onaction){
+     if(!onaction) throw new Error("onaction is not defined");
+
+     let previous = {};
+
+     const connected = (e)=>{
+          previous[e.gamepad.index] = e.gamepad.buttons.map(b=>b.pressed);
+     },
+     disconnected = (e)=>{
+          delete previous[e.gamepad.index];
+     };
+
+     window.addEventListener("gamepadconnected",connected);
+     window.addEventListener("gamepaddisconnected",disconnected);
+
+     const press = (button)=>{
+          for(let action of Object.keys(buttons))
+               if(buttons[action].indexOf(button) >= 0) return onaction(action);
+          onaction("any");
+     };
+
+     return {
+          active: function (){
+               return Object.keys(previous).length > 0;
+          },
+          poll: function (){
+               const pads = navigator.getGamepads? navigator.getGamepads(): [];
+               for(let pad of pads){
+                    if(!pad || !pad.connected) continue;
+                    const was = previous[pad.index] || [];
+                    pad.buttons.forEach((button,i)=>{
+                         if(button.pressed && !was[i]) press(i);
+                         if(!button.pressed && was[i] && buttons.jump.indexOf(i) >= 0) onaction("jump_release");
+                    });
+                    previous[pad.index] = pad.buttons.map(b=>b.pressed);
+               }
+          },
+          release: function (){
+               window.removeEventListener("gamepadconnected",connected);
+               window.removeEventListener("gamepaddisconnected",disconnected);
+               previous = {};
+          }
+     };
+}
@@ -0,0 +1,58 @@
+import  { GamepadInput }  from "./Gamepad.js"
+
+//every device at once, reduced to abstract actions: jump, jump_release, switch, pause, restart,
+//"any" for a press bound to nothing and "suspend" when the page loses focus;
+//returns the gamepad poller and a release() removing every listener it added
+export function InputManager (bindings, onaction){
+     if(!bindings) throw new Error("bindings are not defined");
+
+     let listeners = [];
+     const listen = (target,type,handler)=>{
+          target.addEventListener(type,handler);
+          listeners.push([target,type,handler]);
+     }
+
+     listen(document,"keydown",(e)=>{
+        if(e.repeat) return;
+        onaction(bindings.actionFor(e.code) || "any");
+     });
+     listen(document,"keyup",(e)=>{
+        if(bindings.actionFor(e.code) === "jump") onaction("jump_release");
+     });
+
+     //mouse, touch and pen alike: right half jumps, left half switches direction
+     let jumpPointers = [];
+     listen(document,"pointerdown",(e)=>{
+        if(e.clientX > window.innerWidth/2){
+            jumpPointers.push(e.pointerId);
+            onaction("jump");
+        }else
+            onaction("switch");
+     });
+     const pointerReleased = (e)=>{
+        const index = jumpPointers.indexOf(e.pointerId);
+        if(index < 0) return;
+        jumpPointers.splice(index,1);
+        onaction("jump_release");
+     };
+     listen(document,"pointerup",pointerReleased);
+     listen(document,"pointercancel",pointerReleased);
+
+     listen(document,"visibilitychange",()=>{
+        if(document.hidden) onaction("suspend");
+     })
+     listen(window,"blur",()=>onaction("suspend"));
+
+     const gamepad = GamepadInput(onaction);
+
+     return {
+          poll: gamepad.poll,
+          gamepadActive: gamepad.active,
+          release: function (){
+               for(let [target,type,handler] of listeners)
+                    target.removeEventListener(type,handler);
+               listeners = [];
+               gamepad.release();
+          }
+     };
+}
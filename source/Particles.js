@@ -0,0 +1,64 @@
+import  { Sprite }  from "./kontra.js"
+import  { Random }  from "./Random.js"
+
+//purely cosmetic: its own random source, so effects never touch the run's sequence
+const random = Random();
+
+//a fixed pool of particles reused over and over, nothing is allocated while playing
+export function Particles (game, size = 256){
+      if(!game) throw new Error("game is not defined");
+
+      const pool = [];
+      for(let i = 0; i < size; i++) pool.push({alive: false, x: 0, y: 0, vx: 0, vy: 0, life: 0, ttl: 0, size: 0, color: null, gravity: 0});
+
+      return Sprite({
+           pool: pool,
+           next: 0,
+
+           //speed, size and gravity are in clock radii (per second), so bursts scale with the screen
+           emit: function ({x, y, count = 12, speed = 1, spread = 2*Math.PI, angle = 0, life = 0.6, size = 0.05, color = "#fff", gravity = 0}){
+              const radius = game.clock.radius;
+              for(let i = 0; i < count; i++){
+                 const p = this.pool[this.next],
+                       a = angle + (random.next()-.5)*spread,
+                       v = speed*radius*random.range(.4,1);
+                 this.next = (this.next+1) % this.pool.length;
+                 p.alive = true;
+                 p.x = x;
+                 p.y = y;
+                 p.vx = Math.sin(a)*v;
+                 p.vy = -Math.cos(a)*v;
+                 p.ttl = p.life = life*random.range(.6,1);
+                 p.size = size*radius*random.range(.5,1);
+                 p.color = color;
+                 p.gravity = gravity*radius;
+              }
+           },
+           clear: function (){
+              for(let p of this.pool) p.alive = false;
+           },
+           update: function (dt){
+              for(let p of this.pool){
+                 if(!p.alive) continue;
+                 p.ttl-=dt;
+                 if(p.ttl <= 0){
+                    p.alive = false;
+                    continue;
+                 }
+                 p.vy += p.gravity*dt;
+                 p.x += p.vx*dt;
+                 p.y += p.vy*dt;
+              }
+           },
+           draw: function (){
+              const context = this.context;
+              for(let p of this.pool){
+                 if(!p.alive) continue;
+                 context.globalAlpha = p.ttl/p.life;
+                 context.fillStyle = p.color;
+                 context.fillRect(p.x-p.size/2, p.y-p.size/2, p.size, p.size);
+              }
+              context.globalAlpha = 1;
+           }
+      });
+}
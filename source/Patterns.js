@@ -0,0 +1,61 @@
+import  { delta }  from "./Angles.js"
+
+//authored hand movements: a pattern lists the steps for each hand it moves, the first list
+//going to the hand that set it off and the rest to the following hands in play; the others keep
+//rotating freely. A step is one of
+//    {by: degrees, speed}             turn that far, counted along the hand's direction of travel
+//    {wait: seconds}                  hold still
+//    {to: "bug"|degrees, offset, speed}  head the short way round to the bug, or to an angle
+//    {chase: seconds, offset, speed}  keep after the bug for that long
+//speeds are in degrees per second
+export const patterns = {
+     sweep: { hands: [ [ {by: 180, speed: 220}, {by: -180, speed: 220} ] ] },
+     converge: { hands: [ [ {to: "bug", offset: -45, speed: 160}, {wait: 0.4} ],
+                          [ {to: "bug", offset: 45, speed: 160}, {wait: 0.4} ] ] },
+     dash: { hands: [ [ {wait: 0.6}, {by: 150, speed: 400} ] ] },
+     chase: { hands: [ [ {chase: 2.5, offset: 0, speed: 75} ] ] }
+};
+
+const target = (step, game)=> (step.to === "bug" || step.chase !== undefined? game.bug.rotationDeg: step.to) + (step.offset || 0);
+
+//each move advances a hand by one tick and tells whether its step is over
+export const moves = {
+     by: (hand, step, state, dt)=>{
+          const distance = Math.min(Math.abs(step.by) - state.moved, step.speed*dt);
+          state.moved += distance;
+          hand.rotationDeg += Math.sign(step.by)*hand.direction*distance;
+          return state.moved >= Math.abs(step.by);
+     },
+     wait: (hand, step, state)=> state.elapsed >= step.wait,
+     to: (hand, step, state, dt, game)=>{
+          const diff = delta(hand.rotationDeg, target(step, game));
+          hand.rotationDeg += Math.sign(diff)*Math.min(Math.abs(diff), step.speed*dt);
+          return Math.abs(diff) <= step.speed*dt;
+     },
+     chase: (hand, step, state, dt, game)=>{
+          moves.to(hand, step, state, dt, game);
+          return state.elapsed >= step.chase;
+     }
+};
+
+export function moveOf (step){
+     return Object.keys(moves).find((move)=>step[move] !== undefined);
+}
+
+//throws on anything a hand would not know how to play
+export function validatePattern (pattern){
+     const fail = (reason)=>{ throw new Error("invalid pattern: "+reason); };
+     if(!pattern || !Array.isArray(pattern.hands) || !pattern.hands.length) fail("no hands");
+     for(let steps of pattern.hands){
+          if(!Array.isArray(steps) || !steps.length) fail("a hand has no steps");
+          for(let step of steps){
+               const move = moveOf(step || {});
+               if(!move) fail("unknown step "+JSON.stringify(step));
+               if(move !== "wait" && !(step.speed > 0)) fail(move+" needs a positive speed");
+          }
+     }
+     return pattern;
+}
+
+//the built-in patterns are checked once, as the module loads
+for(let name of Object.keys(patterns)) validatePattern(patterns[name]);
@@ -0,0 +1,154 @@
+import  { Sprite }  from "./kontra.js"
+import  { rotatePoint }  from "./Util.js"
+import  { SATCollision }  from "./Collision.js"
+
+//what each power-up does to the bug and the hands, and for how long (seconds);
+//the shield has no timer, it lasts until it absorbs a hit
+const kinds = {
+     shield: {
+          label: "S",
+          duration: Infinity,
+          apply: (game)=>{ game.bug.shielded = true; },
+          expire: (game)=>{ game.bug.shielded = false; }
+     },
+     slow: {
+          label: "½",
+          duration: 5,
+          apply: (game)=>{ for(let hand of game.arrows) hand.speedFactor = 0.5; },
+          expire: (game)=>{ for(let hand of game.arrows) hand.speedFactor = 1; }
+     },
+     triple: {
+          label: "3",
+          duration: 8,
+          apply: (game)=>{ game.bug.maxJumps = 3; },
+          expire: (game)=>{ game.bug.maxJumps = 2; }
+     },
+     multiplier: {
+          label: "×2",
+          duration: 8,
+          apply: (game)=>{ game.scoreMultiplier = 2; },
+          expire: (game)=>{ game.scoreMultiplier = 1; }
+     }
+};
+
+export function PowerUps (game){
+      if(!game) throw new Error("game is not defined");
+
+      return Sprite({
+           kinds: Object.keys(kinds),
+           items: [],
+           active: {},
+           spawnTimer: 0,
+
+           minSpawnTime: 5,
+           maxSpawnTime: 9,
+           lifetime: 6,
+
+           reset: function (){
+              for(let kind of Object.keys(this.active)) kinds[kind].expire(game);
+              this.items = [];
+              this.active = {};
+              this.spawnTimer = this.minSpawnTime;
+           },
+           //an item waits on the rim, either on the ground or where only a jump reaches it
+           spawn: function (){
+              const kind = game.random.pick(this.kinds),
+                    angle = (game.bug.rotationDeg + game.random.range(90,270)) % 360,
+                    altitude = game.random.chance(.5)? 0: 1;
+              this.items.push({kind, angle, altitude, ttl: this.lifetime});
+              game.emit("powerup_spawn",kind);
+           },
+           collect: function (item){
+              const kind = kinds[item.kind];
+              if(!this.active[item.kind]) kind.apply(game);
+              this.active[item.kind] = kind.duration;
+              game.emit("powerup_collect",item.kind,item);
+           },
+           //spends the shield on a hit, returns false when there was none
+           absorbHit: function (){
+              if(!this.active.shield) return false;
+              kinds.shield.expire(game);
+              delete this.active.shield;
+              return true;
+           },
+           itemSize: function (){
+              return game.bug.width*0.6;
+           },
+           itemCenter: function (item){
+              const size = this.itemSize(),
+                    distance = game.clock.radius + size/2 + item.altitude*game.bug.height*0.6;
+              return rotatePoint({x:0,y:-distance}, 2*Math.PI*item.angle/360);
+           },
+           itemPath: function (item){
+              const half = this.itemSize()/2,
+                    center = this.itemCenter(item);
+              return [{x:-half,y:-half},{x:half,y:-half},{x:half,y:half},{x:-half,y:half}]
+                     .map((point)=>{
+                          const p = rotatePoint(point, 2*Math.PI*item.angle/360);
+                          return {x:p.x+center.x, y:p.y+center.y};
+                     });
+           },
+           update: function (dt){
+              for(let kind of Object.keys(this.active)){
+                 this.active[kind]-=dt;
+                 if(this.active[kind] <= 0){
+                    kinds[kind].expire(game);
+                    delete this.active[kind];
+                 }
+              }
+
+              this.spawnTimer-=dt;
+              if(this.spawnTimer <= 0){
+                 if(!this.items.length) this.spawn();
+                 this.spawnTimer = game.random.range(this.minSpawnTime,this.maxSpawnTime);
+              }
+
+              const bug = game.bug.calculateTransformedPath();
+              this.items = this.items.filter((item)=>{
+                 item.ttl-=dt;
+                 if(SATCollision(this.itemPath(item),bug)){
+                    this.collect(item);
+                    return false;
+                 }
+                 return item.ttl > 0;
+              });
+           },
+           draw: function (){
+              const context = this.context,
+                    size = this.itemSize();
+              context.textBaseline = 'middle';
+              context.textAlign = 'center';
+
+              for(let item of this.items){
+                 const center = this.itemCenter(item);
+                 //fades out during its last second
+                 context.globalAlpha = Math.min(1,item.ttl);
+                 context.fillStyle = game.colorScheme.scorebar;
+                 context.beginPath();
+                 context.arc(game.clock.x+center.x, game.clock.y+center.y, size/2, 0, 2*Math.PI);
+                 context.fill();
+                 context.fillStyle = game.colorScheme.background;
+                 context.font = 'bold '+size/2+'px sans-serif';
+                 context.fillText(kinds[item.kind].label, game.clock.x+center.x, game.clock.y+center.y);
+              }
+
+              //hud: active effects in a row under the score, each with its time running out as an arc
+              const active = Object.keys(this.active),
+                    hudSize = game.clock.radius/5,
+                    y = game.clock.y+game.clock.radius*0.75;
+              context.globalAlpha = .8;
+              context.strokeStyle = context.fillStyle = game.colorScheme.scorebar;
+              context.lineWidth = 2;
+              context.font = 'bold '+hudSize/2+'px sans-serif';
+              active.forEach((kind,i)=>{
+                 const x = game.clock.x + (i-(active.length-1)/2)*hudSize*1.2,
+                       left = kinds[kind].duration === Infinity? 1: this.active[kind]/kinds[kind].duration;
+                 context.fillText(kinds[kind].label, x, y);
+                 context.beginPath();
+                 context.arc(x, y, hudSize/2, -Math.PI/2, -Math.PI/2 + 2*Math.PI*left);
+                 context.stroke();
+              });
+              context.globalAlpha = 1;
+           }
+      });
+}
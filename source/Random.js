@@ -0,0 +1,43 @@
+
+//mulberry32: tiny, fast and good enough to make every run reproducible from its seed
+export function Random (seed = newSeed()){
+
+     let state = seed >>> 0;
+
+     return {
+          seed: seed >>> 0,
+
+          next: function (){
+               state = (state + 0x6D2B79F5) >>> 0;
+               let t = state;
+               t = Math.imul(t ^ t >>> 15, t | 1);
+               t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+               return ((t ^ t >>> 14) >>> 0) / 4294967296;
+          },
+          chance: function (probability){
+               return this.next() < probability;
+          },
+          range: function (min,max){
+               return min + (max-min)*this.next();
+          },
+          pick: function (array){
+               return array[Math.floor(this.next()*array.length)];
+          }
+     };
+
+}
+
+//the only place Math.random is allowed: picking a seed for a fresh run
+export function newSeed(){
+     return Math.floor(Math.random()*4294967296) >>> 0;
+}
+
+export function seedToString(seed){
+     return ("0000000"+(seed >>> 0).toString(16)).slice(-8);
+}
+
+export function seedFromString(str){
+     const seed = parseInt(str,16);
+     if(isNaN(seed)) throw new Error("invalid seed: "+str);
+     return seed >>> 0;
+}
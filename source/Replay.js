@@ -0,0 +1,97 @@
+import  { seedToString, seedFromString }  from "./Random.js"
+import  { validateChoreography }  from "./Choreography.js"
+
+//one letter per action keeps shared replays short
+const codes = { jump:"j", jump_release:"r", switch:"s" },
+      actions = { j:"jump", r:"jump_release", s:"switch" };
+
+const version = 1;
+
+const number = (value)=> typeof value === "number" && isFinite(value);
+
+export function Recorder (seed, start){
+
+     const replay = {
+          v: version,
+          seed: seedToString(seed),
+          start: start,
+          inputs: [],
+          ticks: 0,
+          score: 0
+     };
+
+     return {
+          replay: replay,
+          record: function (tick, action){
+               replay.inputs.push([tick, codes[action]]);
+          },
+          finish: function (tick, score){
+               replay.ticks = tick;
+               replay.score = score;
+               return replay;
+          }
+     };
+
+}
+
+export function Playback (replay){
+
+     let cursor = 0;
+
+     return {
+          replay: replay,
+          seed: seedFromString(replay.seed),
+          inputsAt: function (tick){
+               let res = [];
+               while(cursor < replay.inputs.length && replay.inputs[cursor][0] <= tick){
+                    if(replay.inputs[cursor][0] === tick) res.push(actions[replay.inputs[cursor][1]]);
+                    cursor++;
+               }
+               return res;
+          }
+     };
+
+}
+
+//btoa and atob only take Latin-1, so anything else, a level's name say, goes through UTF-8
+const toBase64 = (str)=> btoa(encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, (match, hex)=>String.fromCharCode(parseInt(hex,16)))),
+      fromBase64 = (str)=> decodeURIComponent(atob(str).split("").map((c)=>"%"+("0"+c.charCodeAt(0).toString(16)).slice(-2)).join(""));
+
+export function encodeReplay(replay){
+     return toBase64(JSON.stringify(replay));
+}
+
+//accepts both the raw JSON and its base64 form
+export function decodeReplay(str){
+     let replay;
+     str = str.trim();
+     try{
+          replay = JSON.parse(str[0] === "{"? str: fromBase64(str));
+     }catch(e){
+          throw new Error("invalid replay: cannot parse");
+     }
+     if(!replay || replay.v !== version || !Array.isArray(replay.inputs) || !replay.start)
+          throw new Error("invalid replay: unsupported format");
+     for(let input of replay.inputs)
+          if(!Array.isArray(input) || typeof input[0] !== "number" || !actions[input[1]])
+               throw new Error("invalid replay: bad input "+JSON.stringify(input));
+     seedFromString(replay.seed);
+     validateStart(replay.start);
+     return replay;
+}
+
+//the snapshot a run starts from is restored as it is, so nothing in it may be missing
+function validateStart(start){
+     const fail = (reason)=>{ throw new Error("invalid replay: "+reason); };
+     if(!start.bug || !["rotationDeg","direction","anchorY","jumpSpeed"].every((field)=>number(start.bug[field])))
+          fail("bad bug in start");
+     if(!Array.isArray(start.arrows) || !start.arrows.every((hand)=>hand && ["rotationDeg","rotationSpeed","direction"].every((field)=>number(hand[field]))))
+          fail("bad hands in start");
+     if(start.level){
+          try{
+               validateChoreography(start.level);
+          }catch(err){
+               fail("bad level in start, "+err.message);
+          }
+     }
+}
@@ -1,49 +1,65 @@
-import  {Sprite, on, emit, setStoreItem, getStoreItem }  from "./kontra.js"
-import  { isMobile, localStoragePrefix as prefix }  from "./Util.js"
+import  {Sprite, setStoreItem, getStoreItem }  from "./kontra.js"
+import  { isMobile, localStoragePrefix as prefix, timestep }  from "./Util.js"
+import  { seedToString }  from "./Random.js"
 const mobile = isMobile();
 
 export function ScoreBar  (game){
 
       if(!game) throw new Error("game is not defined");
       let scoreBar, defSize, defPosition;
-      on("clock_reposition", defPosition = (x,y)=>{
+      game.on("clock_reposition", defPosition = (x,y)=>{
           scoreBar.x = x;
           scoreBar.y = y;
       })
-      on("clock_resize", defSize = (radius)=>{
+      game.on("clock_resize", defSize = (radius)=>{
           scoreBar.size = radius/2;
       })
+      game.on("scorebar_add", (score)=>{
+          //the hi score belongs to the endless mode
+          if(!game.playback && !game.choreography && score>scoreBar.hiScore){
+              scoreBar.hiScore = score;
+              setStoreItem(prefix+"hiScore",score);
+          }
+      })
+      game.on("near_miss", (hand,gap,earned)=>{
+          scoreBar.flashTxt = "close call +"+earned;
+          scoreBar.flashTime = scoreBar.flashDuration;
+      })
       scoreBar = Sprite({
            x: null,
            y: null,
            size: null,
            anchor: {x:0.5,y:1},
-           score: 0,
            hiScore:0,
 
            primaryTxt:'',
            secondaryTxt:'',
+           seedTxt:'',
+           flashTxt:'',
+           flashTime: 0,
+           flashDuration: 1,
 
-           add:function (earned){
-              this.score+=earned;
-              if(this.score>this.hiScore){
-                  this.hiScore = this.score;
-                  setStoreItem(prefix+"hiScore",this.hiScore);
-              }             
-              emit("scorebar_add", this.score); 
-
-           },
-           update: function (){ 
-             if(game.gameOver){
+           update: function (dt = 0){ 
+             if(!game.flow.is("paused")) this.flashTime = Math.max(0,this.flashTime-dt);
+             if(game.flow.is("editing")){
+               this.primaryTxt = this.secondaryTxt = this.seedTxt = "";
+             }else if(game.flow.is("countdown")){
+               this.primaryTxt = ""+Math.ceil(game.countdownTime-game.flow.time);
+               this.secondaryTxt = "get ready";
+               this.seedTxt = "";
+             }else if(game.gameOver){
 
 
 
-               this.score = 0;
-               this.primaryTxt = ""+this.hiScore;
-               this.secondaryTxt = mobile?"Tap to play":"Press a key";
+               this.primaryTxt = ""+(game.level? game.score: this.hiScore);
+               this.secondaryTxt = game.inputs.gamepadActive()?"Press a button":mobile?"Tap to play":"Press a key";
+               this.seedTxt = game.level? game.level.name: game.difficulty+(game.seed === null?"":" · seed "+seedToString(game.seed));
              }else{
-               this.primaryTxt = ""+this.score;
-               this.secondaryTxt = "hi "+this.hiScore;
+               this.primaryTxt = ""+game.score;
+               this.secondaryTxt = game.choreography?
+                                   game.choreography.name+" "+Math.max(0,Math.ceil(game.choreography.duration-game.ticks*timestep)):
+                                   "hi "+this.hiScore;
+               this.seedTxt = "";
              }
            },
            draw: function (){
@@ -56,6 +72,20 @@ export function ScoreBar  (game){
                  this.context.font = 'bold '+this.size/2+'px sans-serif';
                  this.context.globalAlpha = .3;
                  this.context.fillText(this.secondaryTxt, this.x, this.y+this.size/2);
+                 this.context.font = 'bold '+this.size/4+'px sans-serif';
+                 this.context.fillText(this.seedTxt, this.x, this.y+this.size);
+                 if(this.flashTime){
+                     //fades while drifting up towards the score
+                     const left = this.flashTime/this.flashDuration;
+                     this.context.globalAlpha = .8*left;
+                     this.context.font = 'bold '+this.size/3+'px sans-serif';
+                     this.context.fillText(this.flashTxt, this.x, this.y+this.size*(0.7+0.3*left));
+                 }
+                 if((game.startingLives > 1 || game.lives > 1) && !game.gameOver){
+                     this.context.globalAlpha = .8;
+                     this.context.font = 'bold '+this.size/3+'px sans-serif';
+                     this.context.fillText("♥".repeat(game.lives), this.x, this.y-this.size);
+                 }
                  this.context.globalAlpha = 1;
            },    
       }) 
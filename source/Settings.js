@@ -0,0 +1,56 @@
+
+//the controls screen: one row per action, click a row and press the new key
+export function Settings (bindings, {screen, list, open, close, reset}, {onopen = ()=>{}, onclose = ()=>{}} = {}){
+     if(!bindings) throw new Error("bindings are not defined");
+
+     let waiting = null;
+
+     const render = ()=>{
+          list.innerHTML = "";
+          for(let action of bindings.actions){
+               const row = document.createElement("div"),
+                     button = document.createElement("button");
+               row.textContent = bindings.name(action)+" ";
+               button.className = "bind-button";
+               button.textContent = waiting === action? "press a key...": bindings.describe(action);
+               button.onclick = (e)=>{
+                    waiting = action;
+                    render();
+                    e.stopPropagation();
+               };
+               row.appendChild(button);
+               list.appendChild(row);
+          }
+     };
+
+     const hide = ()=>{
+          waiting = null;
+          screen.style.display = "none";
+          onclose();
+     };
+
+     //captured on window, so the game never sees keys typed into this screen
+     window.addEventListener("keydown",(e)=>{
+          if(screen.style.display !== "block") return;
+          e.stopPropagation();
+          //typing into a text field works as usual, it just never reaches the game
+          if(!waiting && e.target.tagName === "TEXTAREA") return;
+          e.preventDefault();
+          if(!waiting) return;
+          bindings.set(waiting, e.code);
+          waiting = null;
+          render();
+     },true);
+
+     open.onclick = (e)=>{
+          render();
+          screen.style.display = "block";
+          onopen();
+          e.stopPropagation();
+     };
+     close.onclick = (e)=>{ hide(); e.stopPropagation(); };
+     reset.onclick = (e)=>{ bindings.reset(); waiting = null; render(); e.stopPropagation(); };
+     screen.onclick = (e)=>e.stopPropagation();
+     screen.addEventListener("pointerdown",(e)=>e.stopPropagation());
+     open.addEventListener("pointerdown",(e)=>e.stopPropagation());
+}
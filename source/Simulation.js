@@ -0,0 +1,488 @@
+import  { Clock }  from "./Clock.js"
+import  { Bug }  from "./Bug.js"
+import  { Arrows }  from "./Arrows.js"
+import  { SATContact }  from "./Collision.js"
+import  { Random, newSeed }  from "./Random.js"
+import  { Recorder, Playback }  from "./Replay.js"
+import  { StateMachine }  from "./StateMachine.js"
+import  { EventBus }  from "./Events.js"
+import  { PowerUps }  from "./PowerUps.js"
+import  { profiles, stageFor }  from "./Difficulty.js"
+import  { patterns }  from "./Patterns.js"
+import  { validateChoreography, angleAt }  from "./Choreography.js"
+import  { wrap, delta, deltaRadians }  from "./Angles.js"
+import  { timestep }  from "./Util.js"
+
+//everything that decides the outcome of a run, free of DOM and canvas,
+//so it can be stepped under Node as well as behind the canvas Game
+export class Simulation extends EventTarget{
+
+    constructor({radius = 100, animations = null} = {}){
+         super();
+
+         this.events = EventBus();
+         this.accumulator = 0;
+         this.countdownTime = 1.5;
+         this.hitStopTime = 0.15;   //the world freezes for a moment on a fatal hit
+         this.dyingTime = 1.5;
+
+         this.seed = null;
+         this.random = Random(0);
+         this.score = 0;
+         this.scoreMultiplier = 1;
+         this.startingLives = 1;     //more than one turns on the lives mode
+         this.lives = 1;
+         this.knockback = 25;        //degrees a hand is thrown back after hitting the bug
+         this.sweepStep = 4;         //most degrees a hand may turn past the bug between two collision tests
+         this.nearMissBonus = 1;
+         this.nearMissRange = 30;    //degrees either side of the bug within which hands are watched
+         this.closest = new Map();   //each nearby hand's pass by the bug: {gap, crossed, earned}, gap the smallest yet
+         this.crossings = [];        //hands gone over during the current tick
+         this.difficulty = "normal"; //the player's choice, taken up when the next run begins
+         this.profile = profiles[this.difficulty];
+         this.stage = null;
+         this.level = null;          //a choreography to play instead of the endless mode, taken up like the difficulty
+         this.choreography = null;   //the one the current run follows
+
+         this.ticks = 0;
+         this.pendingInputs = [];
+         this.recorder = null;
+         this.playback = null;
+         this.lastReplay = null;
+
+         this.clock = Clock(this,0,0,radius);
+
+         this.arrows = Arrows(this);      //every hand the clock has, in play or not
+
+         this.bug = Bug(this,animations);
+         //clearing a hand by less than this, in clock radii, is a near miss; a full jump peaking
+         //right over the shortest hand leaves only a little more, so that alone does not count
+         this.nearMissGap = 0.75*this.jumpClearance();
+         this.powerUps = PowerUps(this);
+         this.on("bug_overarrow",(arrow)=>{
+               const stage = this.stage;
+               this.crossings.push(arrow);
+               this.addScore(1);
+               if(this.choreography) return;
+               //a hand busy with a pattern sees it through
+               if(!arrow.pattern){
+                    if(stage.patterns && this.random.chance(stage.patternChance)) this.runPattern(this.random.pick(stage.patterns), arrow);
+                    else arrow.randomDirectionChange(stage.reversal, stage.telegraph);
+               }
+               arrow.rotationSpeed = Math.min(arrow.rotationSpeed+stage.acceleration, Math.max(arrow.rotationSpeed, stage.maxSpeed));
+         })
+
+         this.flow = StateMachine(this,{
+               attract: {
+                    update: this.advance
+               },
+               countdown: {
+                    enter(from){
+                         this.clock.scaleUp = true;
+                         this.clock.hideNumbers = true;
+                    },
+                    update(dt,time){
+                         this.advance(dt);
+                         if(time >= this.countdownTime) this.flow.go("playing");
+                    }
+               },
+               playing: {
+                    enter(from){
+                         if(from !== "paused") this.beginRun();
+                    },
+                    update(dt){
+                         const inputs = this.playback? this.playback.inputsAt(this.ticks): this.pendingInputs.splice(0);
+                         for(let action of inputs) this.perform(action);
+                         const before = this.pose();
+                         this.crossings = [];
+                         this.advance(dt);
+                         if(this.choreography && this.ticks*timestep >= this.choreography.duration) return this.completeLevel();
+                         this.updateStage();
+                         this.powerUps.update(dt);
+                         const contacts = this.contacts(before),
+                               hits = contacts.filter((contact)=>contact.manifold);
+                         if(hits.length && !this.bug.invulnerable) this.hit(hits.map((contact)=>contact.hand), hits[0].manifold);
+                         if(this.flow.is("playing")) this.nearMisses(contacts);
+                         if(this.flow.is("playing")) this.ticks++;
+                    }
+               },
+               paused: {
+                    enter(from){
+                         this.pendingInputs = [];
+                    }
+               },
+               dying: {
+                    enter(from){
+                         this.bug.die();
+                         this.endRun();
+                    },
+                    update(dt,time){
+                         if(time < this.hitStopTime) return;
+                         if(!this.bug.flung) this.bug.fling();
+                         this.bug.update(dt);
+                         if(time >= this.dyingTime) this.flow.go("over");
+                    }
+               },
+               over: {
+                    enter(from){
+                         this.bug.recover();
+                         this.resetHands(false);
+                         this.clock.scaleUp = false;
+                         this.clock.hideNumbers = false;
+                    },
+                    update: this.advance
+               },
+               //hands are posed by an editor, nothing moves on its own
+               editing: {
+                    enter(from){
+                         if(this.recorder) this.endRun();
+                         this.playback = null;
+                         this.bug.recover();
+                         this.clock.scaleUp = false;
+                         this.clock.hideNumbers = false;
+                    },
+                    update(dt){
+                         this.clock.update(dt);
+                    }
+               }
+         },"attract");
+         this.resetHands(false);
+    }
+
+    on(event, callback){
+          return this.events.on(event, callback);
+    }
+    emit(event, ...args){
+          this.events.emit(event, ...args);
+    }
+    //drops every subscription, after this the instance must not be used
+    destroy(){
+          this.events.clear();
+          this.pendingInputs = [];
+          this.recorder = null;
+          this.playback = null;
+    }
+    //true whenever no run is in progress and the world shows the time
+    get gameOver(){
+          return this.flow.is("attract","countdown","over");
+    }
+    //the hands currently on the clock face
+    hands(){
+          return this.arrows.filter((hand)=>hand.active);
+    }
+    canStart(){
+          return this.flow.is("attract","over") &&
+                 this.bug.idleDeg === this.bug.rotationDeg &&
+                 this.hands().every((hand)=>hand.idleDeg === hand.rotationDeg);
+    }
+    start(seed = newSeed()){
+          this.seed = seed >>> 0;
+          this.flow.go(this.countdownTime? "countdown": "playing");
+    }
+    pause(){
+          if(this.flow.is("playing","countdown")) this.flow.go("paused");
+    }
+    resume(){
+          if(this.flow.is("paused")) this.flow.go(this.flow.previous);
+    }
+    //the single entry point for player actions, whichever device they came from
+    act(action){
+          //nothing gets through while the death sequence plays or the hands are being edited
+          if(this.flow.is("dying","editing")) return;
+          switch(action){
+             case "suspend": return this.pause();
+             case "pause": return this.canStart()? this.start(): this.togglePause();
+             case "restart": return this.restart();
+             case "jump_release": return this.input(action);
+          }
+          if(this.flow.is("paused")) return this.resume();
+          if(this.canStart()) return this.start();
+          this.input(action);
+    }
+    //abandons the current run, if any, and begins a fresh one right away
+    restart(seed){
+          if(this.recorder) this.endRun();
+          this.playback = null;
+          this.start(seed);
+    }
+    togglePause(){
+          if(this.flow.is("paused")) this.resume();
+          else this.pause();
+    }
+    setDifficulty(name){
+          if(!profiles[name]) throw new Error("unknown difficulty: "+name);
+          this.difficulty = name;
+          if(!this.recorder && !this.flow.is("countdown")){
+               this.profile = profiles[name];
+               this.resetHands(false);
+          }
+    }
+    //null goes back to the endless mode
+    loadLevel(choreography){
+          if(choreography){
+               validateChoreography(choreography);
+               if(choreography.hands.length > this.arrows.length) throw new Error("invalid choreography: the clock has only "+this.arrows.length+" hands");
+          }
+          this.level = choreography;
+          if(!this.recorder && !this.flow.is("countdown","editing")){
+               this.choreography = choreography;
+               this.resetHands(false);
+          }
+    }
+    edit(){
+          this.flow.go("editing");
+    }
+    //the hands go back to the level loaded last, whatever the editor had them play
+    stopEditing(){
+          if(!this.flow.is("editing")) return;
+          this.choreography = this.level;
+          this.flow.go("over");
+    }
+    //the end of a choreography is the end of its level
+    completeLevel(){
+          this.emit("level_complete", this.score);
+          this.endRun();
+          this.flow.go("over");
+    }
+    beginRun(){
+          //a run cut short in the middle of the death sequence never got the bug back on the rim
+          this.bug.recover();
+          this.lives = this.startingLives;
+          this.profile = profiles[this.difficulty];
+          this.choreography = this.level;
+          this.resetHands(true);
+          //a level's hands start at their first keys, not wherever they were resting
+          for(let hand of this.hands()) if(hand.track) hand.pose(angleAt(hand.track, 0));
+          this.bug.handOffsets.clear();
+          this.closest.clear();
+          if(this.playback) this.restore(this.playback.replay.start);
+          this.stage = stageFor(this.profile, 0);
+          this.random = Random(this.seed);
+          this.score = 0;
+          this.ticks = 0;
+          this.pendingInputs = [];
+          this.recorder = Recorder(this.seed, this.snapshot());
+          this.powerUps.reset();
+    }
+    //a hit is fatal unless a shield or a spare life absorbs it
+    hit(hands, manifold = null){
+          if(this.powerUps.absorbHit()){
+               this.bug.invulnerable = this.bug.invulnerableTime;
+               this.emit("bug_hit_absorbed",manifold);
+          }else if(this.lives > 1){
+               this.lives--;
+               this.bug.invulnerable = this.bug.invulnerableTime;
+               for(let hand of hands) this.knockBack(hand);
+               this.emit("bug_hit",this.lives,manifold);
+          }else{
+               this.lives = 0;
+               this.flow.go("dying");
+          }
+    }
+    //puts in play as many hands as the first stage of the profile asks for,
+    //at its starting speeds when a run is about to begin, or those of the level
+    resetHands(speeds){
+          const stage = this.profile.stages[0],
+                level = this.choreography;
+          this.arrows.forEach((hand,i)=>{
+               hand.active = i < (level? level.hands.length: stage.hands);
+               hand.track = level && hand.active? level.hands[i].keys: null;
+               hand.reversal = null;
+               hand.pattern = null;
+               if(speeds && hand.active) hand.rotationSpeed = stage.speeds[i];
+          });
+    }
+    //moving up a stage brings in hands and raises the slower ones to its speeds
+    updateStage(){
+          const stage = stageFor(this.profile, this.score);
+          if(stage === this.stage || this.choreography) return;
+          this.stage = stage;
+          this.arrows.forEach((hand,i)=>{
+               if(i >= stage.hands) hand.active = false;
+               else if(!hand.active) hand.join(stage.speeds[i]);
+               else hand.rotationSpeed = Math.max(hand.rotationSpeed, stage.speeds[i]);
+          });
+          this.emit("difficulty_stage", stage);
+    }
+    //hands a pattern's steps out to the hands in play, starting with the given one
+    runPattern(name, first = this.hands()[0]){
+          if(!patterns[name]) throw new Error("unknown pattern: "+name);
+          const hands = this.hands(),
+                start = Math.max(0, hands.indexOf(first));
+          patterns[name].hands.forEach((steps,i)=>{
+               if(i < hands.length) hands[(start+i) % hands.length].play(steps);
+          });
+          this.emit("pattern_start", name);
+    }
+    //throws the hand away from the bug and keeps it moving that way
+    knockBack(hand){
+          let away = Math.sign(delta(this.bug.rotationDeg, hand.rotationDeg)) || 1;
+          hand.rotationDeg = wrap(hand.rotationDeg + away*this.knockback);
+          hand.direction = away;
+          hand.reversal = null;
+          hand.pattern = null;
+    }
+    endRun(){
+          this.powerUps.reset();
+          const replaying = !!this.playback;
+          this.lastReplay = this.recorder.finish(this.ticks, this.score);
+          this.recorder = null;
+          this.playback = null;
+          this.dispatchEvent(new CustomEvent("finish",{detail:{replay:this.lastReplay, replaying:replaying}}));
+
+    }
+    addScore(earned){
+          earned*=this.scoreMultiplier;
+          this.score+=earned;
+          this.emit("scorebar_add", this.score, earned);
+    }
+    input(action){
+          if(!this.flow.is("playing") || this.playback) return;
+          if(["jump","jump_release","switch"].indexOf(action) < 0) return;
+          this.pendingInputs.push(action);
+    }
+    perform(action){
+          this.recorder.record(this.ticks, action);
+          this.bug.act(action);
+    }
+    //the state a run depends on besides its seed and inputs
+    snapshot(){
+          return {
+             difficulty: this.profile.name,
+             level: this.choreography,
+             lives: this.lives,
+             bug: { rotationDeg: this.bug.rotationDeg, direction: this.bug.direction,
+                    anchorY: this.bug.anchor.y, jumpSpeed: this.bug.jumpSpeed, isFlying: this.bug.isFlying,
+                    airTime: this.bug.airTime, bufferedJump: this.bug.bufferedJump, jumpHeld: this.bug.jumpHeld,
+                    invulnerable: this.bug.invulnerable },
+             arrows: this.arrows.map(({rotationDeg,rotationSpeed,direction,active})=>
+                    ({ rotationDeg, rotationSpeed, direction, active }))
+          };
+    }
+    restore(snapshot){
+          const {rotationDeg, direction, anchorY, jumpSpeed, isFlying,
+                 airTime = 0, bufferedJump = 0, jumpHeld = false, invulnerable = 0} = snapshot.bug;
+          Object.assign(this.bug,{rotationDeg, direction, jumpSpeed, isFlying, airTime, bufferedJump, jumpHeld, invulnerable});
+          this.bug.rotation = 2*Math.PI*rotationDeg/360;
+          this.lives = snapshot.lives || 1;
+          this.profile = profiles[snapshot.difficulty] || profiles.normal;
+          this.choreography = snapshot.level || null;
+          this.resetHands(false);
+          this.bug.anchor.y = anchorY;
+          this.bug.currentState = isFlying? "jump": "idle";
+          //posed, not just turned, or the collision sweep takes the jump for motion
+          this.arrows.forEach((hand,i)=>{
+               Object.assign(hand,snapshot.arrows[i]);
+               hand.pose(hand.rotationDeg);
+          });
+    }
+    state(){
+          return Object.assign({
+             tick: this.ticks,
+             flow: this.flow.current,
+             score: this.score,
+             seed: this.seed
+          }, this.snapshot());
+    }
+    replay(replay){
+          if(this.recorder) this.endRun();
+          this.playback = Playback(replay);
+          this.start(this.playback.seed);
+    }
+    //a hand the bug goes over untouched, with less room to spare than nearMissGap on either
+    //side of it, earns a bonus once per pass; the gaps are those the collision sweep found
+    nearMisses(contacts){
+      for(let {hand, gap} of contacts){
+           if(Math.abs(delta(this.bug.rotationDeg, hand.rotationDeg)) > this.nearMissRange){
+                this.closest.delete(hand);
+                continue;
+           }
+           const pass = this.closest.get(hand) || {gap: Infinity, crossed: false, earned: false};
+           this.closest.set(hand, pass);
+           pass.gap = Math.min(pass.gap, gap/this.clock.radius);
+           if(this.crossings.indexOf(hand) >= 0 && !this.bug.invulnerable) pass.crossed = true;
+           if(!pass.crossed || pass.earned || !(pass.gap > 0 && pass.gap < this.nearMissGap)) continue;
+           pass.earned = true;
+           const score = this.score;
+           this.addScore(this.nearMissBonus);
+           this.emit("near_miss", hand, pass.gap, this.score-score);
+      }
+    }
+    //how far a full single jump clears the shortest hand at its peak, in clock radii
+    jumpClearance(){
+      const bug = this.bug,
+            hand = this.arrows.reduce((shortest,hand)=>hand.height < shortest.height? hand: shortest);
+      let speed = bug.launchSpeed,
+          anchorY = bug.groundedAnchorY,
+          top = anchorY;
+      //stepped the way Bug.update does it, so it peaks where a real jump does
+      while(speed > 0){
+           speed += bug.gravity*timestep;
+           anchorY += speed*timestep;
+           top = Math.max(top, anchorY);
+      }
+      return SATContact(hand.calculateTransformedPath(0), bug.calculateTransformedPath(0, top)).gap/this.clock.radius;
+    }
+    //where the bug and the hands are, as far as collisions go
+    pose(){
+      return {
+          bug: {rotation: this.bug.rotation, anchorY: this.bug.anchor.y},
+          hands: this.hands().map((hand)=>({hand: hand, rotation: hand.rotation}))
+      };
+    }
+    //every hand in play as {hand, manifold, gap}: the manifold of its contact with the bug, null
+    //when it has none, and its smallest gap to the bug; given the pose of the tick before, the
+    //poses in between are tested too, close enough that nothing slips through, up to the first
+    //one with a contact
+    contacts(before = null){
+      const after = this.pose(),
+            turn = deltaRadians,
+            from = (hand)=>{
+                 const pose = before && before.hands.find((pose)=>pose.hand === hand);
+                 return pose? pose.rotation: hand.rotation;
+            },
+            bugTurn = before? turn(before.bug.rotation, after.bug.rotation): 0,
+            bugLift = before? after.bug.anchorY - before.bug.anchorY: 0,
+            widest = Math.max(0, ...this.hands().map((hand)=>Math.abs(turn(from(hand), hand.rotation) - bugTurn))),
+            steps = Math.max(1, Math.ceil(widest*360/(2*Math.PI)/this.sweepStep));
+
+      let contacts = this.hands().map((hand)=>({hand: hand, manifold: null, gap: Infinity}));
+      //from the earliest pose in between up to the current one
+      for(let step = 1; step <= steps; step++){
+           const share = step/steps,
+                 bug = this.bug.calculateTransformedPath(after.bug.rotation - bugTurn*(1-share), after.bug.anchorY - bugLift*(1-share));
+           for(let contact of contacts){
+                const hand = contact.hand,
+                      rotation = hand.rotation - turn(from(hand), hand.rotation)*(1-share),
+                      {manifold, gap} = SATContact(hand.calculateTransformedPath(rotation),bug);
+                contact.manifold = manifold;
+                contact.gap = Math.min(contact.gap, gap);
+           }
+           if(contacts.some((contact)=>contact.manifold)) break;
+      }
+      return contacts;
+    }
+    update(dt){
+      //whatever the frame rate, the world advances in equal steps
+      this.accumulator += dt;
+      while(this.accumulator >= timestep){
+          this.tick(timestep);
+          this.accumulator -= timestep;
+      }
+    }
+    //advances exactly one tick with the given actions, for headless callers
+    step(inputs = []){
+      for(let action of inputs) this.input(action);
+      this.tick(timestep);
+      return this.state();
+    }
+    tick(dt){
+      this.flow.update(dt);
+    }
+    advance(dt){
+      this.clock.update(dt);
+      for(let hand of this.hands()) hand.update(dt);
+      this.bug.update(dt);
+    }
+}
+
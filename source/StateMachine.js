@@ -0,0 +1,38 @@
+
+//states are plain objects with optional enter(from), exit(to) and update(dt,time) hooks,
+//all called with the owner as `this`; the owner is told about every change with a "statechange" event
+export function StateMachine (owner, states, initial){
+     if(!owner) throw new Error("owner is not defined");
+
+     const machine = {
+          current: null,
+          previous: null,
+          time: 0,
+
+          is: function (...names){
+               return names.indexOf(this.current) >= 0;
+          },
+          go: function (name){
+               if(!states[name]) throw new Error("unknown state: "+name);
+               const from = this.current,
+                     exiting = states[from];
+
+               if(exiting && exiting.exit) exiting.exit.call(owner,name);
+               this.previous = from;
+               this.current = name;
+               this.time = 0;
+               if(states[name].enter) states[name].enter.call(owner,from);
+
+               owner.dispatchEvent(new CustomEvent("statechange",{detail:{from:from, to:name}}));
+          },
+          update: function (dt){
+               const state = states[this.current];
+               this.time += dt;
+               if(state.update) state.update.call(owner,dt,this.time);
+          }
+     };
+
+     machine.go(initial);
+
+     return machine;
+}
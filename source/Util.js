@@ -8,7 +8,10 @@ let isMobile = ()=> /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mi
 
 const localStoragePrefix = 'back-and-forth-js13k-2019-';
 
-export { rotatePoint,isMobile, localStoragePrefix };
+//fixed simulation step in seconds, all speeds are expressed per second
+const timestep = 1/60;
+
+export { rotatePoint,isMobile, localStoragePrefix, timestep };
 
 
 
@@ -1,10 +1,21 @@
 
-import  { GameLoop, setStoreItem, getStoreItem } from "./kontra.js"
+import  { setStoreItem, getStoreItem } from "./kontra.js"
 import   Game   from "./Game.js"
 import  { isMobile, localStoragePrefix as prefix } from "./Util.js"
+import  { encodeReplay, decodeReplay } from "./Replay.js"
+import  { Bindings } from "./Bindings.js"
+import  { Settings } from "./Settings.js"
+import  { difficulties } from "./Difficulty.js"
+import  { decodeChoreography } from "./Choreography.js"
+import  { Editor } from "./Editor.js"
 
 
 const mobile = isMobile();
+const bindings = Bindings();
+const livesModeLives = 3;
+let livesMode = !!getStoreItem(prefix+"livesMode");
+let difficulty = difficulties.indexOf(getStoreItem(prefix+"difficulty")) >= 0? getStoreItem(prefix+"difficulty"): "normal";
+let game = null;
 
 
 const greeting_close = document.getElementById("greeting_close"),
@@ -12,14 +23,130 @@ const greeting_close = document.getElementById("greeting_close"),
       greeting = document.getElementById("greeting"),
       bob_img = document.getElementById("bob"),
       tips_mobile = document.getElementById("tips_mobile"),
-      tips_desktop = document.getElementById("tips_desktop");
+      tips_desktop = document.getElementById("tips_desktop"),
+      settings_open = document.getElementById("settings_open"),
+      lives_toggle = document.getElementById("lives_toggle"),
+      difficulty_toggle = document.getElementById("difficulty_toggle"),
+      level_toggle = document.getElementById("level_toggle"),
+      level_file = document.getElementById("level_file"),
+      editor_open = document.getElementById("editor_open"),
+      replay_text = document.getElementById("replay_text"),
+      replay_export = document.getElementById("replay_export"),
+      replay_import = document.getElementById("replay_import"),
+      replay_best = document.getElementById("replay_best"),
+      settings_status = document.getElementById("settings_status");
       
 
 greeting_open.onclick = (e)=>{ greeting.style.display = "block";e.stopPropagation();};
 greeting_close.onclick = (e)=>{ greeting.style.display = "none";e.stopPropagation();};
 greeting.onclick = (e)=>e.stopPropagation();
-greeting.addEventListener("touchstart",(e)=>e.stopPropagation());
-greeting_close.addEventListener("touchstart",(e)=>e.stopPropagation());
+greeting.addEventListener("pointerdown",(e)=>e.stopPropagation());
+greeting_open.addEventListener("pointerdown",(e)=>e.stopPropagation());
+
+let describeControls = ()=>{
+    const key = (action)=>'<span class="bold">'+bindings.describe(action)+'</span>';
+    tips_desktop.innerHTML = "press "+key("jump")+" to jump, "+key("switch")+" to switch direction, "+
+                             key("pause")+" to pause and "+key("restart")+" to restart. "+
+                             "A click works too: right half of the screen to jump, left half to switch direction";
+}
+
+let describeLives = ()=>{
+    lives_toggle.textContent = livesMode? livesModeLives+" lives": "off";
+}
+lives_toggle.onclick = (e)=>{
+    livesMode = !livesMode;
+    setStoreItem(prefix+"livesMode",livesMode);
+    describeLives();
+    if(game) game.startingLives = livesMode? livesModeLives: 1;
+    e.stopPropagation();
+};
+describeLives();
+
+//easy, normal, hard and round again; a run in progress keeps the one it started with
+difficulty_toggle.onclick = (e)=>{
+    difficulty = difficulties[(difficulties.indexOf(difficulty)+1) % difficulties.length];
+    setStoreItem(prefix+"difficulty",difficulty);
+    difficulty_toggle.textContent = difficulty;
+    if(game) game.setDifficulty(difficulty);
+    e.stopPropagation();
+};
+difficulty_toggle.textContent = difficulty;
+
+//a choreography file turns the endless mode into a level, the button brings the endless mode back
+let describeLevel = ()=>{
+    level_toggle.textContent = game && game.level? game.level.name: "endless";
+}
+level_toggle.onclick = (e)=>{
+    e.stopPropagation();
+    if(!game) return;
+    if(game.level){
+        game.loadLevel(null);
+        describeLevel();
+    }else
+        level_file.click();
+};
+level_file.onchange = ()=>{
+    const file = level_file.files[0];
+    level_file.value = "";
+    if(!file || !game) return;
+    file.text().then((text)=>{
+        try{
+            game.loadLevel(decodeChoreography(text));
+        }catch(err){
+            status(err.message);
+        }
+        describeLevel();
+    });
+};
+
+let status = (message)=>{
+    settings_status.textContent = message;
+}
+
+let watch = (text)=>{
+    if(!game) return;
+    if(game.flow.is("editing")) return status("close the editor first");
+    try{
+        game.replay(decodeReplay(text));
+        status("close to watch it");
+    }catch(err){
+        status(err.message);
+    }
+}
+
+//the last run as a string to share, and a shared one pasted back in to watch
+replay_export.onclick = (e)=>{
+    e.stopPropagation();
+    const text = game && game.exportReplay();
+    if(!text) return status("no run to share yet");
+    replay_text.value = text;
+    replay_text.select();
+    if(navigator.clipboard) navigator.clipboard.writeText(text).then(()=>status("copied"),()=>status("copy it from the box"));
+    else status("copy it from the box");
+};
+replay_import.onclick = (e)=>{
+    e.stopPropagation();
+    watch(replay_text.value);
+};
+//the highest scoring endless run played here, kept across visits
+replay_best.onclick = (e)=>{
+    e.stopPropagation();
+    const text = getStoreItem(prefix+"bestReplay");
+    if(!text) return status("no best run yet");
+    replay_text.value = text;
+    watch(text);
+};
+
+Settings(bindings,{
+    screen: document.getElementById("settings"),
+    list: document.getElementById("bindings"),
+    open: settings_open,
+    close: document.getElementById("settings_close"),
+    reset: document.getElementById("bindings_reset")
+},{
+    onopen: ()=>{ if(game) game.pause(); describeLevel(); status(""); },
+    onclose: describeControls
+});
 
 
 let displayGreeting = ()=>{
@@ -32,8 +159,13 @@ let displayGreeting = ()=>{
 }
 
 const start = ()=>{
-    if(mobile) tips_mobile.style.display = 'block';
-    else tips_desktop.style.display = 'block';
+    if(mobile){
+        tips_mobile.style.display = 'block';
+        document.getElementById("controls").style.display = 'none';
+    }else{
+        describeControls();
+        tips_desktop.style.display = 'block';
+    }
 
   
     if(!getStoreItem(prefix+"visited")){
@@ -46,12 +178,31 @@ const start = ()=>{
     setStoreItem(prefix+"visited",true);
 
     function launchGame(){      
-        Game().then(function (game){
-          let loop = GameLoop({  
-              update:  game.update.bind(game),
-              render:  game.render.bind(game)
+        Game(bindings).then(function (launched){
+          game = launched;
+          game.startingLives = livesMode? livesModeLives: 1;
+          game.setDifficulty(difficulty);
+          game.loop.start();
+
+          game.editor = Editor(game,{
+              panel: document.getElementById("editor"),
+              open: editor_open
           });
-          loop.start();
+
+          game.addEventListener("finish",(e)=>{
+               const {replay, replaying} = e.detail;
+               if(!replaying && !replay.start.level && replay.score && replay.score >= game.scoreBar.hiScore)
+                    setStoreItem(prefix+"bestReplay",encodeReplay(replay));
+          });
+
+          //a shared run arrives as #replay=<base64 or json>
+          try{
+              const shared = decodeURIComponent(location.hash).match(/^#replay=(.+)$/);
+              if(shared) game.replay(decodeReplay(shared[1]));
+          }catch(err){
+              settings_open.click();
+              status(err.message);
+          }
         });
     }
 }